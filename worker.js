@@ -1,22 +1,51 @@
 // Cloudlare Worker JS with SSE progress updates
 addEventListener('fetch', event => {
-  event.respondWith(handleRequest(event.request))
+  event.respondWith(handleRequest(event.request, event))
 })
 
-async function handleRequest(request) {
+// The cron trigger runs saved schedules that are due
+addEventListener('scheduled', event => {
+  event.waitUntil(runDueSchedules(new Date(event.scheduledTime)))
+})
+
+// SUSHI providers we can harvest from. Base URLs are the SUSHI root for each
+// COUNTER version (the part before /reports). `auth` lists the credential
+// parameters the provider expects; values come from the account, falling back
+// to `params`. `params` are extra query parameters sent with every request.
+// `reports` optionally limits the report types offered, as a list per version.
+// `chunk_months` optionally sets how many months each request covers (see fetchReport).
+// More providers can be added with a SUSHI_PROVIDERS JSON variable in the same shape.
+const DEFAULT_PROVIDER = 'pnas'
+const PROVIDERS = {
+  pnas: {
+    name: 'PNAS',
+    baseUrls: {
+      '5': 'https://www.pnas.org',
+      '5.1': 'https://www.pnas.org/r51'
+    },
+    auth: ['requestor_id', 'customer_id'],
+    params: {}
+  }
+}
+
+async function handleRequest(request, event) {
   const url = new URL(request.url)
 
+  const origin = request.headers.get('Origin')
+  const originAllowed = isOriginAllowed(origin, url.origin)
   const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    ...getAllowOriginHeaders(origin, originAllowed),
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Last-Event-ID',
+    'Access-Control-Expose-Headers': 'Content-Disposition, Retry-After',
   }
 
   if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders })
+    return new Response(null, { status: originAllowed ? 200 : 403, headers: corsHeaders })
   }
 
   try {
+    // Public, so monitoring can reach it without a key
     if (url.pathname === '/status') {
       return new Response(JSON.stringify({
         status: 'healthy',
@@ -26,21 +55,52 @@ async function handleRequest(request) {
       })
     }
 
+    if (!originAllowed) {
+      return jsonResponse({ error: 'Origin not allowed' }, corsHeaders, 403)
+    }
+
+    const client = await authenticate(request)
+    if (!client) {
+      return jsonResponse({ error: 'Missing or invalid credentials' }, { ...corsHeaders, 'WWW-Authenticate': 'Bearer' }, 401)
+    }
+    const retryAfter = checkClientRateLimit(client)
+    if (retryAfter) {
+      return jsonResponse({ error: 'Rate limit exceeded' }, { ...corsHeaders, 'Retry-After': String(retryAfter) }, 429)
+    }
+
+    if (url.pathname === '/providers') {
+      const providers = Object.entries(getProviders()).map(([id, provider]) => ({
+        id,
+        name: provider.name || id,
+        versions: Object.keys(provider.baseUrls || {}),
+        reports: Object.fromEntries(Object.keys(provider.baseUrls || {}).map(version => [version, getProviderReports(provider, version)])),
+        auth: provider.auth || []
+      }))
+      return new Response(JSON.stringify(providers), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      })
+    }
+
+    // What each account supports, checked before a harvest
+    if (url.pathname === '/preflight' && request.method === 'POST') {
+      return await handlePreflightRequest(request, client, corsHeaders)
+    }
+
     // SSE endpoint for progress streaming
     if (url.pathname === '/harvest-stream' && request.method === 'POST') {
-      const requestData = await request.json()
+      const requestData = await parseHarvestRequest(request, client)
       
       // Create a TransformStream for SSE
       const { readable, writable } = new TransformStream()
       const writer = writable.getWriter()
       const encoder = new TextEncoder()
 
-      // Process in background
+      // Process in background. The stream is already closed if the client went away.
       processWithProgress(requestData, writer, encoder).then(() => {
-        writer.close()
+        writer.close().catch(() => {})
       }).catch(err => {
-        writer.write(encoder.encode(`data: ${JSON.stringify({ error: err.message })}\n\n`))
-        writer.close()
+        writer.write(encoder.encode(`data: ${JSON.stringify({ error: err.message })}\n\n`)).catch(() => {})
+        writer.close().catch(() => {})
       })
 
       return new Response(readable, {
@@ -55,7 +115,7 @@ async function handleRequest(request) {
 
     if (url.pathname === '/harvest-batch' && request.method === 'POST') {
       // Keep existing endpoint for backwards compatibility
-      const requestData = await request.json()
+      const requestData = await parseHarvestRequest(request, client)
       const result = await processAccounts(requestData)
       
       return new Response(JSON.stringify(result), {
@@ -63,9 +123,73 @@ async function handleRequest(request) {
       })
     }
 
+    // Harvest jobs run on the server and can be followed, cancelled and
+    // downloaded by ID. A client that accepts text/event-stream gets the job's
+    // events as the response and the harvest runs while it stays open. Any
+    // other job runs as background work, which the platform stops about 30
+    // seconds after the response, so only small harvests are accepted that way.
+    if (url.pathname === '/jobs' && request.method === 'POST') {
+      const requestData = await parseHarvestRequest(request, client)
+      if ((request.headers.get('Accept') || '').includes('text/event-stream')) {
+        return streamJob(await createJob(requestData), requestData, corsHeaders)
+      }
+      validateBackgroundJob(requestData)
+      const job = await createJob(requestData)
+      event.waitUntil(runJob(job, requestData))
+      return jsonResponse(job, corsHeaders, 202)
+    }
+
+    const cancelMatch = url.pathname.match(/^\/jobs\/([\w-]+)\/cancel$/)
+    if (cancelMatch && request.method === 'POST') {
+      const job = await getJob(cancelMatch[1])
+      if (!job || job.owner !== client.id) {
+        return jsonResponse({ error: 'Job not found' }, corsHeaders, 404)
+      }
+      if (job.status !== 'running') {
+        return jsonResponse({ error: `Job is ${job.status}` }, corsHeaders, 409)
+      }
+      await cancelJob(job.id)
+      return jsonResponse({ id: job.id, status: 'cancelling' }, corsHeaders, 202)
+    }
+
+    const jobMatch = url.pathname.match(/^\/jobs\/([\w-]+)(?:\/(events|result|compliance))?$/)
+    if (jobMatch && request.method === 'GET') {
+      const [, jobId, part] = jobMatch
+      const job = await getJob(jobId)
+      if (!job || job.owner !== client.id) {
+        return jsonResponse({ error: 'Job not found' }, corsHeaders, 404)
+      }
+
+      if (part === 'events') {
+        // EventSource sends Last-Event-ID itself on reconnect; clients that
+        // reattach after a reload pass it as a query parameter instead
+        const lastEventId = parseInt(request.headers.get('Last-Event-ID') || url.searchParams.get('last_event_id')) || 0
+        return streamJobEvents(jobId, lastEventId, corsHeaders)
+      }
+      if (part === 'result' || part === 'compliance') {
+        return jobResultResponse(job, corsHeaders, part)
+      }
+      return jsonResponse(job, corsHeaders)
+    }
+
+    if (url.pathname === '/schedules' || url.pathname.startsWith('/schedules/')) {
+      return await handleScheduleRequest(request, url, event, client, corsHeaders)
+    }
+
+    if (/^\/(accounts|account-groups)(\/[\w-]+)?$/.test(url.pathname)) {
+      return await handleRegistryRequest(request, url, client, corsHeaders)
+    }
+
+    if (/^\/prices(\/[^/]+)?$/.test(url.pathname)) {
+      return await handlePriceRequest(request, url, client, corsHeaders)
+    }
+
     return new Response('Not Found', { status: 404, headers: corsHeaders })
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return jsonResponse({ error: error.message, errors: error.errors }, corsHeaders, 400)
+    }
     console.error('Request error:', error)
     return new Response(JSON.stringify({ error: error.message }), {
       status: 500,
@@ -74,405 +198,2783 @@ async function handleRequest(request) {
   }
 }
 
-async function processWithProgress(requestData, writer, encoder) {
-  const results = []
-  let successful = 0, failed = 0
-  const totalAccounts = requestData.accounts.length
-  const startTime = Date.now()
+function jsonResponse(data, corsHeaders, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  })
+}
 
-  for (let i = 0; i < requestData.accounts.length; i++) {
-    const account = requestData.accounts[i]
-    
-    // Send progress update
-    const progress = {
-      type: 'progress',
-      current: i + 1,
-      total: totalAccounts,
-      percentage: Math.round(((i + 1) / totalAccounts) * 100),
-      currentAccount: account.customer_id,
-      successful,
-      failed,
-      estimatedTimeRemaining: calculateETA(startTime, i + 1, totalAccounts)
-    }
-    
-    await writer.write(encoder.encode(`data: ${JSON.stringify(progress)}\n\n`))
+// Access control. Every endpoint but /status needs an
+// `Authorization: Bearer <token>` header, where the token is one of the API_KEYS
+// or a JWT signed with JWT_SECRET (HS256). API_KEYS is a JSON object mapping each
+// key to { name, rate_limit }; JWTs must carry an expiry that hasn't passed,
+// and must match JWT_ISSUER and JWT_AUDIENCE when those are set. With neither
+// configured every request is refused, unless AUTH_DISABLED is "true" (for
+// local development). ALLOWED_ORIGINS is a comma-separated list of browser
+// origins that may call the Worker; without it only pages on the Worker's own
+// origin may. Saved accounts, groups, schedules, price lists and jobs belong to
+// the client that created them (its API key's name or the JWT's subject) and
+// are only visible to it.
 
-    try {
-      const apiUrl = buildApiUrl(requestData, account)
-      const response = await fetch(apiUrl)
-      
-      if (!response.ok) {
-        throw new Error(`API returned ${response.status}`)
-      }
-      
-      const jsonData = await response.json()
-      const processedData = processApiResponse(jsonData, requestData, account)
-      
-      results.push(...processedData.entries)
-      if (processedData.success) {
-        successful++
-      } else {
-        failed++
-      }
-      
-    } catch (error) {
-      console.error(`Error for ${account.customer_id}:`, error)
-      failed++
-      results.push(createErrorEntry(error, requestData, account))
-    }
-    
-    await new Promise(r => setTimeout(r, 100))
+// Requests per minute each client may make, unless its API key sets rate_limit
+const DEFAULT_CLIENT_RATE_LIMIT = 120
+
+function getAllowedOrigins() {
+  if (typeof ALLOWED_ORIGINS === 'undefined' || !ALLOWED_ORIGINS) return []
+  return ALLOWED_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+}
+
+// Requests without an Origin header don't come from a browser page, so CORS doesn't apply
+function isOriginAllowed(origin, ownOrigin) {
+  return !origin || origin === ownOrigin || getAllowedOrigins().includes(origin)
+}
+
+function getAllowOriginHeaders(origin, originAllowed) {
+  return originAllowed && origin
+    ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' }
+    : { 'Vary': 'Origin' }
+}
+
+// Resolves with the client making the request, as { id, rateLimit }, or null
+// if its credentials are missing or invalid
+async function authenticate(request) {
+  if (typeof AUTH_DISABLED !== 'undefined' && AUTH_DISABLED === 'true') {
+    return { id: 'anonymous', rateLimit: DEFAULT_CLIENT_RATE_LIMIT }
   }
 
-  // Send final results
-  const csv = requestData.formatted
-    ? formatAsPivot(results, requestData)
-    : convertToCSV(results, requestData)
-  const totalUsage = results.filter(r => r.Title !== 'ERROR')
-    .reduce((sum, r) => sum + (parseInt(r.Reporting_Period_Total) || 0), 0)
-  const platforms = [...new Set(results.map(r => r.Platform).filter(p => p))]
-  const metricTypes = [...new Set(results.map(r => r.Metric_Type).filter(m => m && m !== 'ERROR' && m !== 'No Data'))]
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.get('Authorization') || '')
+  if (!match) return null
+  const token = match[1]
 
-  const finalResult = {
-    type: 'complete',
-    csv,
-    filename: generateFilename(requestData) + (requestData.formatted ? '_formatted' : ''), // Add filename
-    successful,
-    failed,
-    total: requestData.accounts.length,
-    summary: {
-      totalUsage,
-      uniquePlatforms: platforms.length,
-      metricTypes: metricTypes.slice(0, 5)
+  const apiKeys = getApiKeys()
+  if (Object.hasOwn(apiKeys, token)) {
+    const key = apiKeys[token]
+    return {
+      id: `key:${key.name || token.slice(0, 8)}`,
+      rateLimit: parseInt(key.rate_limit) || DEFAULT_CLIENT_RATE_LIMIT
     }
   }
 
-  await writer.write(encoder.encode(`data: ${JSON.stringify(finalResult)}\n\n`))
+  if (typeof JWT_SECRET !== 'undefined' && token.split('.').length === 3) {
+    const claims = await verifyJwt(token, JWT_SECRET)
+    if (claims) {
+      return { id: `jwt:${claims.sub || 'unknown'}`, rateLimit: DEFAULT_CLIENT_RATE_LIMIT }
+    }
+  }
+  return null
 }
 
-async function processAccounts(requestData) {
-  // Existing logic for backward compatibility
-  const results = []
-  let successful = 0, failed = 0
+let configuredApiKeys = null
 
-  for (const account of requestData.accounts) {
-    try {
-      const apiUrl = buildApiUrl(requestData, account)
-      const response = await fetch(apiUrl)
-      
-      if (!response.ok) {
-        throw new Error(`API returned ${response.status}`)
-      }
-      
-      const jsonData = await response.json()
-      const processedData = processApiResponse(jsonData, requestData, account)
-      
-      results.push(...processedData.entries)
-      if (processedData.success) {
-        successful++
-      } else {
-        failed++
-      }
-      
-    } catch (error) {
-      console.error(`Error for ${account.customer_id}:`, error)
-      failed++
-      results.push(createErrorEntry(error, requestData, account))
-    }
-    
-    await new Promise(r => setTimeout(r, 100))
+function getApiKeys() {
+  if (!configuredApiKeys) {
+    configuredApiKeys = parseApiKeys()
   }
+  return configuredApiKeys
+}
 
-  const csv = requestData.formatted
-    ? formatAsPivot(results, requestData)
-    : convertToCSV(results, requestData)
-  const totalUsage = results.filter(r => r.Title !== 'ERROR')
-    .reduce((sum, r) => sum + (parseInt(r.Reporting_Period_Total) || 0), 0)
-  const platforms = [...new Set(results.map(r => r.Platform).filter(p => p))]
-  const metricTypes = [...new Set(results.map(r => r.Metric_Type).filter(m => m && m !== 'ERROR' && m !== 'No Data'))]
-
-  return {
-    csv,
-    filename: generateFilename(requestData) + (requestData.formatted ? '_formatted' : ''), // Add filename
-    successful,
-    failed,
-    total: requestData.accounts.length,
-    summary: {
-      totalUsage,
-      uniquePlatforms: platforms.length,
-      metricTypes: metricTypes.slice(0, 5)
+function parseApiKeys() {
+  if (typeof API_KEYS === 'undefined' || !API_KEYS) return {}
+  try {
+    const keys = JSON.parse(API_KEYS)
+    if (!keys || typeof keys !== 'object' || Array.isArray(keys) ||
+        Object.values(keys).some(key => !key || typeof key !== 'object')) {
+      throw new Error('expected an object mapping each key to { name, rate_limit }')
     }
+    return keys
+  } catch (error) {
+    console.error(`Configuration error: API_KEYS is not valid (${error.message}); no API keys are accepted`)
+    return {}
   }
 }
 
-function buildApiUrl(requestData, account) {
-  // Fix the URL structure for version 5.1
-  const baseUrl = requestData.format === '5.1'
-    ? 'https://www.pnas.org/r51/reports'
-    : 'https://www.pnas.org/reports'
-
-  const apiUrl = `${baseUrl}/${requestData.report_type}?` + new URLSearchParams({
-    requestor_id: account.requestor_id,
-    customer_id: account.customer_id,
-    begin_date: requestData.begin_date,
-    end_date: requestData.end_date
-  })
+// Returns a JWT's claims if it is signed with `secret` using HS256 and is
+// currently valid, otherwise null
+async function verifyJwt(token, secret) {
+  try {
+    const [header, payload, signature] = token.split('.')
+    if (JSON.parse(new TextDecoder().decode(fromBase64Url(header))).alg !== 'HS256') {
+      return null
+    }
+
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' }, false, ['verify'])
+    const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature),
+      new TextEncoder().encode(`${header}.${payload}`))
+    if (!valid) return null
 
-  return apiUrl
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)))
+    const now = Date.now() / 1000
+    // Tokens without an expiry would be valid forever
+    if (typeof claims.exp !== 'number' || now >= claims.exp) return null
+    if (claims.nbf !== undefined && now < claims.nbf) return null
+    if (typeof JWT_ISSUER !== 'undefined' && claims.iss !== JWT_ISSUER) return null
+    if (typeof JWT_AUDIENCE !== 'undefined' && ![].concat(claims.aud).includes(JWT_AUDIENCE)) return null
+    return claims
+  } catch (error) {
+    return null
+  }
 }
 
-function processApiResponse(jsonData, requestData, account) {
-  const results = []
-  const institutionName = jsonData.Report_Header?.Institution_Name || ''
-  const institutionId = getInstitutionId(jsonData)
-  const reportItems = jsonData.Report_Items || []
-  
-  // Get all month columns for the query period
-  const monthColumns = getMonthColumns(requestData.begin_date, requestData.end_date)
-  
-  // Determine if this is version 5.1 format by checking the actual response structure.
-  // The user's format selection controls which endpoint URL is called, but parsing must
-  // be driven by what the response actually contains — some endpoints (e.g. IR) may not
-  // support 5.1 and will return a v5 response even when the 5.1 URL is used.
-  const isVersion51 = reportItems.length > 0 && !!reportItems[0].Attribute_Performance
+// Request counts per client for the current minute. They're kept per isolate,
+// since KV can't take a write per request, so a client spread across several
+// isolates can exceed its limit somewhat.
+const clientRequests = new Map()
 
-  console.log(`Version detection: format=${requestData.format}, isVersion51=${isVersion51}, hasAttributePerformance=${reportItems.length > 0 && !!reportItems[0].Attribute_Performance}`)
-  
-  if (reportItems && reportItems.length > 0) {
-    if (isVersion51) {
-      console.log("Processing version 5.1 format")
-      // Handle version 5.1 format
-      for (const item of reportItems) {
-        const baseData = extractItemData(item)
-        
-        // Process Attribute_Performance array
-        for (const attrPerf of item.Attribute_Performance || []) {
-          const accessType = attrPerf.Access_Type || ''
-          const yop = attrPerf.YOP || '' // Extract YOP from Attribute_Performance
-          const performance = attrPerf.Performance || {}
-          
-          // Process each metric type
-          for (const [metricType, monthlyData] of Object.entries(performance)) {
-            // Calculate total and collect monthly values
-            const monthlyValues = {}
-            let total = 0
-            
-            for (const [month, count] of Object.entries(monthlyData)) {
-              const monthValue = parseInt(count) || 0
-              total += monthValue
-              // Convert "2025-01" format to "Jan-25" format
-              const monthKey = convertApiMonthToDisplayMonth(month)
-              monthlyValues[monthKey] = monthValue
-            }
-            
-            const entry = {
-              Institution_Name: institutionName,
-              Institution_ID: institutionId,
-              Title: baseData.title,
-              Publisher: baseData.publisher,
-              Publisher_ID: baseData.publisher_id,
-              Platform: baseData.platform,
-              DOI: baseData.doi,
-              Proprietary_ID: baseData.proprietary_id,
-              Print_ISSN: baseData.print_issn,
-              Online_ISSN: baseData.online_issn,
-              URI: baseData.uri,
-              Metric_Type: metricType,
-              Reporting_Period_Total: total
-            }
-            
-            // Only add Access_Type for TR_J3
-            if (requestData.report_type.toLowerCase() === 'tr_j3') {
-              entry.Access_Type = accessType
-            }
-            
-            // Add YOP for TR_J4
-            if (requestData.report_type.toLowerCase() === 'tr_j4') {
-              entry.YOP = yop
-            }
-            
-            // Add monthly data ensuring all expected months are present
-            monthColumns.forEach(month => {
-              entry[month] = monthlyValues[month] || 0
-            })
+// Counts a request against the client's limit. Returns 0 if it may go ahead,
+// otherwise the seconds until the next minute starts.
+function checkClientRateLimit(client) {
+  const minute = Math.floor(Date.now() / 60000)
+  const entry = clientRequests.get(client.id)
+  const count = entry?.minute === minute ? entry.count + 1 : 1
+  clientRequests.set(client.id, { minute, count })
+  if (count <= client.rateLimit) return 0
+  return Math.ceil(((minute + 1) * 60000 - Date.now()) / 1000)
+}
 
-            results.push(entry)
-          }
-        }
-      }
-    } else {
-      console.log("Processing version 5 format")
-      // Handle version 5 format (original structure)
-      for (const item of reportItems) {
-        const baseData = extractItemData(item)
-        const accessType = item.Access_Type || ''
-        
-        // Group all metric data by metric type across all Performance periods
-        const metricData = {}
-        
-        // First pass: collect all metrics and their monthly values
-        for (const performance of item.Performance || []) {
-          const period = performance.Period
-          if (!period) continue
-          
-          // Convert period to month key
-          const monthKey = formatMonthKey(new Date(period.Begin_Date))
-          
-          for (const instance of performance.Instance || []) {
-            const metricType = instance.Metric_Type
-            const count = parseInt(instance.Count) || 0
-            
-            if (!metricData[metricType]) {
-              metricData[metricType] = {
-                monthlyValues: {},
-                total: 0
-              }
-            }
-            
-            metricData[metricType].monthlyValues[monthKey] = count
-            metricData[metricType].total += count
-          }
-        }
-        
-        // Second pass: create a row for each metric type with all monthly data
-        for (const [metricType, data] of Object.entries(metricData)) {
-          const entry = {
-            Institution_Name: institutionName,
-            Institution_ID: institutionId,
-            Title: baseData.title,
-            Publisher: baseData.publisher,
-            Publisher_ID: baseData.publisher_id,
-            Platform: baseData.platform,
-            DOI: baseData.doi,
-            Proprietary_ID: baseData.proprietary_id,
-            Print_ISSN: baseData.print_issn,
-            Online_ISSN: baseData.online_issn,
-            URI: baseData.uri,
-            Metric_Type: metricType,
-            Reporting_Period_Total: data.total
-          }
+async function processWithProgress(requestData, writer, encoder) {
+  // A failed write means the client has gone away, so stop harvesting for it
+  const controller = new AbortController()
+  const send = event => writer.write(encoder.encode(`data: ${JSON.stringify(event)}\n\n`))
+    .catch(error => controller.abort(error))
 
-          // Only add Access_Type for TR_J3
-          if (requestData.report_type.toLowerCase() === 'tr_j3') {
-            entry.Access_Type = accessType
-          }
-          
-          // Handle TR_J4 specific fields
-          if (requestData.report_type.toLowerCase() === 'tr_j4') {
-            entry.YOP = item.YOP || item.Year_of_Publication || ''
-          }
+  const finalResult = await runHarvest(requestData, send, controller.signal)
 
-          // Add monthly data for all months in the period
-          monthColumns.forEach(month => {
-            entry[month] = data.monthlyValues[month] || 0
-          })
+  // Send final results
+  await send({ type: 'complete', ...finalResult })
+}
 
-          results.push(entry)
-        }
-      }
-    }
-    return { entries: results, success: true }
-  } else {
-    // No data found
-    const noDataEntry = {
-      Institution_Name: institutionName || 'No Data',
-      Institution_ID: institutionId || '',
-      Title: 'No usage data for this period',
-      Publisher: '',
-      Publisher_ID: '',
-      Platform: '',
-      DOI: '',
-      Proprietary_ID: '',
-      Print_ISSN: '',
-      Online_ISSN: '',
-      URI: '',
-      Metric_Type: 'No Data',
-      Reporting_Period_Total: 0
-    }
-    
-    // Only add Access_Type for TR_J3
-    if (requestData.report_type.toLowerCase() === 'tr_j3') {
-      noDataEntry.Access_Type = ''
-    }
-    
-    // Add YOP for TR_J4
-    if (requestData.report_type.toLowerCase() === 'tr_j4') {
-      noDataEntry.YOP = ''
-    }
-    
-    // Add monthly columns to no data entry
-    monthColumns.forEach(month => {
-      noDataEntry[month] = 0
-    })
-    return { entries: [noDataEntry], success: true }
-  }
+async function processAccounts(requestData) {
+  // Same harvest as the stream, without progress events, for backward compatibility
+  return runHarvest(requestData, () => {})
 }
 
-function getInstitutionId(jsonData) {
-  const institutionIds = jsonData.Report_Header?.Institution_ID
-  
-  if (!institutionIds) return ''
-  
-  if (Array.isArray(institutionIds)) {
-    // Version 5 format - array of objects
-    const proprietaryId = institutionIds.find(id => id.Type === 'Proprietary')
-    return proprietaryId?.Value || ''
-  } else {
-    // Version 5.1 format - object with properties
-    return institutionIds.Proprietary?.[0] || institutionIds.Proprietary || ''
+// A request that can't be run as sent. `errors` lists each problem as
+// { field, message }, with the field named as in the payload (for example
+// `accounts[2].customer_id`), or null for the request as a whole.
+class ValidationError extends Error {
+  constructor(errors, message = 'Invalid request') {
+    super(message)
+    this.errors = errors
   }
 }
 
-function extractItemData(item) {
-  // Extract item identifiers
-  const itemIds = item.Item_ID || {}
-  
-  // Handle both array and object formats for Item_ID
-  let doi = '', proprietary_id = '', print_issn = '', online_issn = ''
-  
-  if (Array.isArray(itemIds)) {
-    // Version 5 format - array of objects
-    for (const id of itemIds) {
-      switch (id.Type) {
-        case 'DOI': doi = id.Value || ''; break
-        case 'Proprietary': proprietary_id = id.Value || ''; break
-        case 'Print_ISSN': print_issn = id.Value || ''; break
-        case 'Online_ISSN': online_issn = id.Value || ''; break
-      }
-    }
-  } else {
-    // Version 5.1 format - object with properties
-    doi = itemIds.DOI || ''
-    proprietary_id = itemIds.Proprietary || ''
-    print_issn = itemIds.Print_ISSN || ''
-    online_issn = itemIds.Online_ISSN || ''
-  }
-  
-  // Extract publisher ID
-  const publisherIds = item.Publisher_ID || {}
-  let publisher_id = ''
-  
-  if (Array.isArray(publisherIds)) {
-    const proprietaryPub = publisherIds.find(p => p.Type === 'Proprietary')
-    publisher_id = proprietaryPub?.Value || ''
-  } else {
-    publisher_id = publisherIds.Proprietary?.[0] || publisherIds.Proprietary || ''
-  }
-  
-  return {
-    title: item.Title || item.Item || '',
-    publisher: item.Publisher || '',
-    publisher_id,
-    platform: item.Platform || '',
-    doi,
-    proprietary_id,
-    print_issn,
-    online_issn,
-    uri: '' // URI field seems to be empty in the sample
+// Most accounts one harvest may cover
+const MAX_ACCOUNTS = 500
+const OUTPUTS = ['csv', 'csv-zip', 'xlsx', 'counter', 'json', 'counter-json', 'ranking']
+
+// Reads a harvest payload, adds the saved accounts it names and checks that it
+// can run. Throws a ValidationError listing every problem found. The harvest's
+// `owner` is the client making the request, whose saved records it can use.
+async function parseHarvestRequest(request, client) {
+  const data = await request.json().catch(() => null)
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError([{ field: null, message: 'The request body must be a JSON object' }], 'Invalid harvest request')
   }
+  const requestData = await resolveAccounts({ ...data, owner: client.id })
+  validateHarvestRequest(requestData)
+  return requestData
 }
 
-function convertApiMonthToDisplayMonth(apiMonth) {
+function validateHarvestRequest(requestData, now = new Date()) {
+  const errors = []
+  const fail = (field, message) => errors.push({ field, message })
+
+  let provider = null
+  try {
+    provider = getProvider(requestData.provider)
+  } catch (error) {
+    fail('provider', error.message)
+  }
+
+  const version = requestData.format || '5'
+  const versionSupported = provider && provider.baseUrls[version]
+  if (provider && !versionSupported) {
+    fail('format', `${provider.name} does not support COUNTER ${version}`)
+  }
+
+  const reportType = String(requestData.report_type || '').toLowerCase()
+  const definition = REPORTS[reportType]
+  if (!definition) {
+    fail('report_type', requestData.report_type ? `Unsupported report type: ${requestData.report_type}` : 'Choose a report type')
+  } else if (versionSupported && !getProviderReports(provider, version).includes(reportType)) {
+    fail('report_type', `${provider.name} does not offer ${reportType.toUpperCase()} for COUNTER ${version}`)
+  }
+  if (definition?.master) {
+    validateMasterOptions(requestData, definition, fail)
+  }
+
+  if (!OUTPUTS.includes(requestData.output || 'csv')) {
+    fail('output', `Unsupported output: ${requestData.output}`)
+  }
+  if (requestData.output === 'ranking' && definition) {
+    validateRankingOptions(requestData, definition, fail)
+  }
+  if (definition) {
+    validatePivotOptions(requestData, fail)
+  }
+
+  validateDateRange(requestData, now, fail)
+  if (requestData.compare !== undefined && requestData.compare !== null) {
+    validateComparison(requestData, now, fail)
+  }
+  validateHarvestAccounts(requestData.accounts, provider, fail)
+  if (requestData.rate_limit !== undefined && requestData.rate_limit !== null) {
+    const rateLimit = Number(requestData.rate_limit)
+    if (!(rateLimit > 0) || rateLimit > MAX_RATE_LIMIT) {
+      fail('rate_limit', `Rate limit must be more than 0 and at most ${MAX_RATE_LIMIT} requests per second`)
+    }
+  }
+  if (requestData.chunk_months !== undefined && requestData.chunk_months !== null) {
+    if (!isChunkSize(Number(requestData.chunk_months))) {
+      fail('chunk_months', `Chunks must be 1, 2, 3, 4, 6 or 12 months, or a whole number of years up to ${MAX_CHUNK_MONTHS / 12}`)
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid harvest request')
+  }
+}
+
+function validateRankingOptions(requestData, definition, fail) {
+  if (!RANKED_KINDS.includes(definition.kind) || !definition.metrics.includes('Total_Item_Requests')) {
+    fail('output', `The ${definition.name} has no title requests to rank`)
+  }
+  if (requestData.rank_by !== undefined && !Object.keys(RANK_KEYS).includes(requestData.rank_by)) {
+    fail('rank_by', 'Rank by doi, issn or title')
+  }
+  if (requestData.top_n !== undefined && requestData.top_n !== null) {
+    const topN = Number(requestData.top_n)
+    if (!Number.isInteger(topN) || topN < 1) {
+      fail('top_n', 'Enter a whole number of titles')
+    }
+  }
+}
+
+function validateMasterOptions(requestData, definition, fail) {
+  for (const attribute of [].concat(requestData.attributes_to_show || [])) {
+    if (!definition.allowedAttributes.includes(attribute)) {
+      fail('attributes_to_show', `${attribute} is not an attribute of the ${definition.name}`)
+    }
+  }
+
+  const filters = requestData.filters || {}
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    fail('filters', 'Filters must be an object')
+    return
+  }
+  for (const [name, value] of Object.entries(filters)) {
+    if (!REPORT_FILTERS.includes(name)) {
+      fail(`filters.${name}`, `Unknown filter: ${name}`)
+    } else if (name === 'yop' && value && !/^\d{4}(-\d{4})?$/.test(value)) {
+      fail('filters.yop', 'YOP must be a year or a range of years such as 2010-2020')
+    }
+  }
+}
+
+// COUNTER reports cover whole months: dates may be given as yyyy-mm, or as
+// yyyy-mm-dd on the first day of the month to begin and the last day to end.
+// Fields are reported under `prefix`, e.g. compare.begin_date.
+function validateDateRange(dates, now, fail, prefix = '') {
+  const begin = parseReportDate(dates.begin_date, `${prefix}begin_date`, fail)
+  const end = parseReportDate(dates.end_date, `${prefix}end_date`, fail)
+
+  if (begin?.day && begin.day !== 1) {
+    fail(`${prefix}begin_date`, 'The begin date must be the first day of a month')
+  }
+  if (end?.day && end.day !== end.daysInMonth) {
+    fail(`${prefix}end_date`, 'The end date must be the last day of a month')
+  }
+  if (begin && end && begin.month > end.month) {
+    fail(`${prefix}end_date`, 'The end date must not be before the begin date')
+  }
+  // Providers have no usage for months that haven't started
+  if (end && end.month > now.toISOString().slice(0, 7)) {
+    fail(`${prefix}end_date`, 'The end date must not be in a future month')
+  }
+}
+
+// A comparison is either 'previous_year' or the earlier period's own dates
+function validateComparison(requestData, now, fail) {
+  const compare = requestData.compare
+  if (compare !== 'previous_year' && (!compare || typeof compare !== 'object')) {
+    fail('compare', "Compare with 'previous_year' or give begin_date and end_date")
+    return
+  }
+  if (typeof compare === 'object') {
+    validateDateRange(compare, now, fail, 'compare.')
+  }
+  if ((requestData.output || 'csv') !== 'csv') {
+    fail('output', 'Comparisons are only available as CSV')
+  }
+  if (requestData.cost_per_use) {
+    fail('cost_per_use', 'Cost per use is not available for comparisons')
+  }
+}
+
+// Parses yyyy-mm or yyyy-mm-dd, returning the month as yyyy-mm, the day if given
+// and the number of days in the month, or null (after reporting why) if invalid
+function parseReportDate(value, field, fail) {
+  if (!value) {
+    fail(field, 'Enter a date')
+    return null
+  }
+  const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value)
+  const year = match && parseInt(match[1])
+  const month = match && parseInt(match[2])
+  const daysInMonth = match && new Date(Date.UTC(year, month, 0)).getUTCDate()
+  const day = match?.[3] ? parseInt(match[3]) : null
+  if (!match || month < 1 || month > 12 || (day !== null && (day < 1 || day > daysInMonth))) {
+    fail(field, `${value} is not a valid date (use yyyy-mm-dd)`)
+    return null
+  }
+  return { month: `${match[1]}-${match[2]}`, day, daysInMonth }
+}
+
+function validateHarvestAccounts(accounts, provider, fail) {
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    fail('accounts', 'Add at least one account')
+    return
+  }
+  if (accounts.length > MAX_ACCOUNTS) {
+    fail('accounts', `At most ${MAX_ACCOUNTS} accounts can be harvested at once`)
+  }
+
+  // customer_id names the account throughout the results, so it's always needed
+  const required = [...new Set(['customer_id', ...(provider?.auth || [])])]
+  const seen = new Set()
+  accounts.forEach((account, i) => {
+    if (!account || typeof account !== 'object') {
+      fail(`accounts[${i}]`, 'An account must be an object')
+      return
+    }
+    for (const key of required) {
+      if (!String(account[key] ?? '').trim() && !provider?.params?.[key]) {
+        fail(`accounts[${i}].${key}`, `Missing ${key}`)
+      }
+    }
+    const key = `${account.requestor_id}|${account.customer_id}`
+    if (seen.has(key)) {
+      fail(`accounts[${i}]`, `Duplicate account: ${account.customer_id}`)
+    }
+    seen.add(key)
+  })
+}
+
+// Jobs, their events and their results are kept for a week; scheduled runs,
+// which make up a schedule's history, for about a year
+const JOB_TTL = 7 * 24 * 60 * 60
+const SCHEDULED_JOB_TTL = 400 * 24 * 60 * 60
+// Events are written to storage in batches at most this often (KV allows about one write per second per key)
+const JOB_FLUSH_INTERVAL = 1000
+// How often an events stream checks storage for new events, and a running job for a cancel request
+const JOB_POLL_INTERVAL = 1000
+// A running job saves its record at least this often. One that hasn't for
+// JOB_STALE_AFTER was stopped before it could finish and is marked failed when
+// next read. The margin allows for KV taking up to a minute to show writes elsewhere.
+const JOB_HEARTBEAT_INTERVAL = 15000
+const JOB_STALE_AFTER = 5 * 60 * 1000
+// Most SUSHI requests a background job may need, so it can finish in the
+// time the platform allows background work after the response
+const MAX_BACKGROUND_REQUESTS = 12
+
+// Job records live under job:<id>, with the events list under job:<id>:events
+// and the rendered output under job:<id>:result. The caller runs the job.
+// Jobs started by a schedule record which one.
+async function createJob(requestData, schedule = null) {
+  // Fail fast on an unknown provider or report
+  getProvider(requestData.provider)
+  getReportDefinition(requestData)
+
+  const now = new Date().toISOString()
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    created: now,
+    updated: now,
+    // What was harvested, without the account credentials
+    request: {
+      provider: requestData.provider || DEFAULT_PROVIDER,
+      report_type: requestData.report_type,
+      format: requestData.format || '5',
+      begin_date: requestData.begin_date,
+      end_date: requestData.end_date,
+      output: requestData.output || 'csv',
+      formatted: !!requestData.formatted,
+      compare: requestData.compare || null,
+      cost_per_use: !!requestData.cost_per_use,
+      accounts: requestData.accounts.length
+    },
+    schedule: schedule ? { id: schedule.id, name: schedule.name } : null,
+    owner: requestData.owner,
+    progress: null,
+    result: null,
+    error: null
+  }
+
+  const storage = getStorage()
+  await storage.put(`job:${job.id}:events`, [], { ttl: getJobTtl(job) })
+  await storage.put(`job:${job.id}`, job, { ttl: getJobTtl(job) })
+  return job
+}
+
+function getJobTtl(job) {
+  return job.schedule ? SCHEDULED_JOB_TTL : JOB_TTL
+}
+
+// Runs a job to the end. `send`, when given, gets every numbered event as it
+// is recorded; a rejected send means the client following the job went away,
+// which cancels the harvest.
+async function runJob(job, requestData, send = null) {
+  const recorder = createJobRecorder(job)
+  const controller = new AbortController()
+  runningJobs.set(job.id, controller)
+  const watcher = watchForCancel(job.id, controller)
+  const emit = event => {
+    const recorded = recorder.emit(event)
+    send?.(recorded).catch(() => controller.abort(new Error('Harvest cancelled')))
+  }
+
+  try {
+    const result = await runHarvest(requestData, emit, controller.signal)
+    await getStorage().put(`job:${job.id}:result`, result, { ttl: getJobTtl(job) })
+
+    // The job record and complete event carry the counts and summary; the
+    // file itself is downloaded from /jobs/:id/result and the compliance
+    // report from /jobs/:id/compliance
+    const { csv, json, base64, compliance, ...summary } = result
+    job.status = result.cancelled ? 'cancelled' : 'complete'
+    job.result = summary
+    emit({
+      type: 'complete',
+      jobId: job.id,
+      resultUrl: `/jobs/${job.id}/result`,
+      complianceUrl: `/jobs/${job.id}/compliance`,
+      ...summary
+    })
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error)
+    job.status = 'failed'
+    job.error = error.message
+    emit({ error: error.message })
+  }
+
+  runningJobs.delete(job.id)
+  clearInterval(watcher)
+  await recorder.close()
+}
+
+// Abort controllers of the jobs running in this isolate
+const runningJobs = new Map()
+
+// A cancel request may reach a different isolate from the one running the job,
+// so it is recorded in storage as well as aborting the job directly when it
+// runs here. With KV the flag can take a while to be seen elsewhere.
+async function cancelJob(jobId) {
+  await getStorage().put(`job:${jobId}:cancel`, true, { ttl: JOB_TTL })
+  runningJobs.get(jobId)?.abort(new Error('Harvest cancelled'))
+}
+
+function watchForCancel(jobId, controller) {
+  return setInterval(async () => {
+    if (await getStorage().get(`job:${jobId}:cancel`)) {
+      controller.abort(new Error('Harvest cancelled'))
+    }
+  }, JOB_POLL_INTERVAL)
+}
+
+// Collects a job's events in memory and writes them, with the job record, to
+// storage in batches. Events are numbered from 1 for Last-Event-ID.
+function createJobRecorder(job) {
+  const storage = getStorage()
+  const events = []
+  let flushTimer = null
+  let flushing = Promise.resolve()
+  // Keeps `updated` fresh while a slow account sends no events
+  const heartbeat = setInterval(() => {
+    if (!flushTimer) flush()
+  }, JOB_HEARTBEAT_INTERVAL)
+
+  // Events are written before the record, so a reader that sees a finished
+  // job is guaranteed to find all of its events
+  const flush = () => {
+    flushTimer = null
+    flushing = flushing.then(async () => {
+      job.updated = new Date().toISOString()
+      await storage.put(`job:${job.id}:events`, events, { ttl: getJobTtl(job) })
+      await storage.put(`job:${job.id}`, job, { ttl: getJobTtl(job) })
+    }).catch(error => console.error(`Could not save job ${job.id}:`, error))
+    return flushing
+  }
+
+  return {
+    emit(event) {
+      const recorded = { id: events.length + 1, data: event }
+      events.push(recorded)
+      if (event.type === 'progress') {
+        job.progress = event
+      }
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, JOB_FLUSH_INTERVAL)
+      }
+      return recorded
+    },
+    async close() {
+      clearTimeout(flushTimer)
+      clearInterval(heartbeat)
+      await flush()
+    }
+  }
+}
+
+// Reading a job that stopped without finishing marks it failed, which also
+// ends any events stream following it
+async function getJob(jobId) {
+  const job = await getStorage().get(`job:${jobId}`)
+  if (job?.status === 'running' && Date.now() - Date.parse(job.updated) > JOB_STALE_AFTER) {
+    return failStaleJob(job)
+  }
+  return job
+}
+
+async function failStaleJob(job) {
+  const storage = getStorage()
+  const error = 'The harvest stopped before it finished.'
+  const events = await storage.get(`job:${job.id}:events`) || []
+  events.push({ id: events.length + 1, data: { error } })
+  job.status = 'failed'
+  job.error = error
+  job.updated = new Date().toISOString()
+  await storage.put(`job:${job.id}:events`, events, { ttl: getJobTtl(job) })
+  await storage.put(`job:${job.id}`, job, { ttl: getJobTtl(job) })
+  return job
+}
+
+// Runs a job inside the response that streams its events, so the harvest
+// isn't cut off like background work. The first event, without an ID, names
+// the job. If the client goes away the harvest is cancelled, keeping the
+// accounts finished so far as the job's result.
+function streamJob(job, requestData, corsHeaders) {
+  const { readable, writable } = new TransformStream()
+  const writer = writable.getWriter()
+  const encoder = new TextEncoder()
+
+  writer.write(encoder.encode(`data: ${JSON.stringify({ type: 'job', jobId: job.id })}\n\n`)).catch(() => {})
+  runJob(job, requestData, event => writer.write(encoder.encode(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`)))
+    .then(() => writer.close().catch(() => {}))
+
+  return new Response(readable, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    }
+  })
+}
+
+// Refuses a harvest too big to finish as background work
+function validateBackgroundJob(requestData) {
+  const requests = countHarvestRequests(requestData)
+  if (requests > MAX_BACKGROUND_REQUESTS) {
+    throw new ValidationError([{
+      field: null,
+      message: hasConsortia(requestData)
+        ? 'Harvests of consortia have to be followed: ask for text/event-stream'
+        : `This harvest needs up to ${requests} SUSHI requests, more than the ${MAX_BACKGROUND_REQUESTS} a job can make in the background. Follow it instead: ask for text/event-stream`
+    }], 'Harvest too large for a background job')
+  }
+}
+
+// The most SUSHI requests a harvest makes, before retries and leaving out
+// cached months. A consortium's members aren't known until it runs.
+function countHarvestRequests(requestData) {
+  if (hasConsortia(requestData)) return Infinity
+  const months = getReportMonths(requestData.begin_date, requestData.end_date)
+  const reports = groupMonthRuns(months, getChunkMonths(requestData)).length * (requestData.compare ? 2 : 1)
+  // /status and /reports for each version
+  const checks = requestData.preflight ? 2 * Object.keys(getProvider(requestData.provider).baseUrls).length : 0
+  return requestData.accounts.length * (reports + checks)
+}
+
+// Replays the job's events after lastEventId, then follows new ones until the job finishes
+function streamJobEvents(jobId, lastEventId, corsHeaders) {
+  const storage = getStorage()
+  const { readable, writable } = new TransformStream()
+  const writer = writable.getWriter()
+  const encoder = new TextEncoder()
+
+  ;(async () => {
+    let sent = lastEventId
+    // A failed write means the client went away; it can resume with Last-Event-ID
+    let connected = true
+    try {
+      while (true) {
+        // Read the record first: events are saved before it, so once it says
+        // the job is done the events list is complete
+        const job = await getJob(jobId)
+        const events = await storage.get(`job:${jobId}:events`) || []
+        for (const event of events.filter(e => e.id > sent)) {
+          connected = await writer.write(encoder.encode(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`))
+            .then(() => true, () => false)
+          if (!connected) break
+          sent = event.id
+        }
+        if (!connected || !job || job.status !== 'running') break
+        await sleep(JOB_POLL_INTERVAL)
+      }
+    } catch (error) {
+      console.error(`Events stream for job ${jobId} failed:`, error)
+    }
+    writer.close().catch(() => {})
+  })()
+
+  return new Response(readable, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    }
+  })
+}
+
+// Cancelled jobs have a result too: the accounts finished before the cancel
+async function jobResultResponse(job, corsHeaders, part = 'result') {
+  if (job.status !== 'complete' && job.status !== 'cancelled') {
+    return jsonResponse({ error: `Job is ${job.status}` }, corsHeaders, 409)
+  }
+
+  const result = await getStorage().get(`job:${job.id}:result`)
+  if (!result) {
+    return jsonResponse({ error: 'Job result has expired' }, corsHeaders, 404)
+  }
+  if (part === 'compliance') {
+    if (!result.compliance) {
+      return jsonResponse({ error: 'This job has no compliance report' }, corsHeaders, 404)
+    }
+    return new Response(result.compliance.csv, {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename="${result.compliance.filename}.csv"`
+      }
+    })
+  }
+
+  const body = result.base64
+    ? fromBase64(result.base64)
+    : result.json ? JSON.stringify(result.json) : result.csv
+  return new Response(body, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': result.mimeType,
+      'Content-Disposition': `attachment; filename="${result.filename}.${result.extension}"`
+    }
+  })
+}
+
+// Saved harvests that run every month. A schedule holds a harvest payload
+// (`harvest`, without dates or report type), the report types to run it for and
+// a rolling date `window`; each run starts one job per report type. Schedules
+// live under schedule:<id>, and `runs` lists their most recent job IDs;
+// `last_error` says why the last monthly run couldn't start, if it couldn't.
+const MAX_SCHEDULE_RUNS = 60
+const SCHEDULE_FIELDS = ['name', 'harvest', 'report_types', 'window', 'fiscal_year_start', 'day_of_month', 'enabled']
+
+// Rolling date windows, as the first day they cover given the last one. Every
+// window ends with the last full month before the run.
+const SCHEDULE_WINDOWS = {
+  previous_month: end => new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1)),
+  // From the start of the fiscal year containing that month, so a run in the
+  // fiscal year's first month covers the whole of the year before
+  fiscal_year_to_date: (end, schedule) => {
+    const startMonth = schedule.fiscal_year_start - 1
+    const year = end.getUTCMonth() >= startMonth ? end.getUTCFullYear() : end.getUTCFullYear() - 1
+    return new Date(Date.UTC(year, startMonth, 1))
+  }
+}
+
+async function handleScheduleRequest(request, url, event, client, corsHeaders) {
+  const storage = getStorage()
+  const [, , scheduleId, part] = url.pathname.split('/')
+
+  if (!scheduleId) {
+    if (request.method === 'GET') {
+      const keys = await storage.list('schedule:')
+      const schedules = await Promise.all(keys.map(key => storage.get(key)))
+      return jsonResponse(schedules.filter(schedule => schedule?.owner === client.id).sort((a, b) => a.name.localeCompare(b.name)), corsHeaders)
+    }
+    if (request.method === 'POST') {
+      const schedule = await buildSchedule(await request.json(), null, client.id)
+      await storage.put(`schedule:${schedule.id}`, schedule)
+      return jsonResponse(schedule, corsHeaders, 201)
+    }
+    return new Response('Not Found', { status: 404, headers: corsHeaders })
+  }
+
+  const schedule = await storage.get(`schedule:${scheduleId}`)
+  if (!schedule || schedule.owner !== client.id) {
+    return jsonResponse({ error: 'Schedule not found' }, corsHeaders, 404)
+  }
+
+  if (!part && request.method === 'GET') {
+    return jsonResponse(schedule, corsHeaders)
+  }
+  if (!part && request.method === 'PUT') {
+    const updated = await buildSchedule(await request.json(), schedule, client.id)
+    await storage.put(`schedule:${schedule.id}`, updated)
+    return jsonResponse(updated, corsHeaders)
+  }
+  if (!part && request.method === 'DELETE') {
+    // Past runs stay downloadable until they expire
+    await storage.delete(`schedule:${schedule.id}`)
+    return jsonResponse({ id: schedule.id, deleted: true }, corsHeaders)
+  }
+
+  // The schedule's history, newest first; runs whose jobs have expired drop out
+  if (part === 'runs' && request.method === 'GET') {
+    const jobs = await Promise.all(schedule.runs.map(getJob))
+    return jsonResponse(jobs.filter(Boolean), corsHeaders)
+  }
+
+  // Runs the schedule now, without affecting its monthly run. The jobs run as
+  // background work, so only a schedule small enough for that can be run now.
+  if (part === 'run' && request.method === 'POST') {
+    const runs = await startScheduledRun(schedule, new Date(), validateBackgroundJob)
+    event.waitUntil(runScheduledJobs(runs))
+    return jsonResponse(runs.map(run => run.job), corsHeaders, 202)
+  }
+
+  return new Response('Not Found', { status: 404, headers: corsHeaders })
+}
+
+// Builds a schedule from a request body, on top of the existing schedule when
+// updating. The harvest is checked as it would run this month.
+async function buildSchedule(data, existing = null, owner = null) {
+  const now = new Date().toISOString()
+  const schedule = {
+    id: crypto.randomUUID(),
+    owner,
+    enabled: true,
+    fiscal_year_start: 1,
+    day_of_month: 1,
+    created: now,
+    last_run: null,
+    last_error: null,
+    runs: [],
+    ...existing,
+    ...Object.fromEntries(SCHEDULE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])),
+    updated: now
+  }
+
+  const errors = []
+  const fail = (field, message) => errors.push({ field, message })
+
+  if (!SCHEDULE_WINDOWS[schedule.window]) {
+    fail('window', `Unsupported window: ${schedule.window}`)
+  }
+  if (!schedule.harvest || typeof schedule.harvest !== 'object') {
+    fail('harvest', 'A schedule needs a harvest')
+  }
+  if (!Array.isArray(schedule.report_types) || schedule.report_types.length === 0) {
+    fail('report_types', 'A schedule needs at least one report type')
+  }
+  schedule.fiscal_year_start = parseInt(schedule.fiscal_year_start)
+  if (!(schedule.fiscal_year_start >= 1 && schedule.fiscal_year_start <= 12)) {
+    fail('fiscal_year_start', 'Must be a month number from 1 to 12')
+  }
+  // Capped at 28 so every month has the day
+  schedule.day_of_month = parseInt(schedule.day_of_month)
+  if (!(schedule.day_of_month >= 1 && schedule.day_of_month <= 28)) {
+    fail('day_of_month', 'Must be from 1 to 28')
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid schedule')
+  }
+
+  // Dates and report type come from the schedule on each run
+  const { begin_date, end_date, report_type, ...harvest } = schedule.harvest
+  schedule.harvest = harvest
+  const dates = getScheduleDates(schedule, new Date())
+  const resolved = await resolveAccounts({ ...harvest, owner: schedule.owner })
+  for (const reportType of schedule.report_types) {
+    validateHarvestRequest({ ...resolved, ...dates, report_type: reportType })
+  }
+
+  schedule.enabled = schedule.enabled !== false
+  schedule.name = schedule.name || schedule.report_types.join(', ').toUpperCase()
+  return schedule
+}
+
+// The begin and end dates a schedule harvests when run on `now`
+function getScheduleDates(schedule, now) {
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0))
+  const begin = SCHEDULE_WINDOWS[schedule.window](end, schedule)
+  return {
+    begin_date: begin.toISOString().slice(0, 10),
+    end_date: end.toISOString().slice(0, 10)
+  }
+}
+
+// Runs every enabled schedule that hasn't run this month once its day comes
+// round, so the cron trigger can fire daily or monthly. Jobs run one at a time,
+// as part of the cron invocation rather than as background work after a response.
+async function runDueSchedules(now) {
+  const storage = getStorage()
+  const month = now.toISOString().slice(0, 7)
+
+  for (const key of await storage.list('schedule:')) {
+    const schedule = await storage.get(key)
+    if (!schedule?.enabled || schedule.last_run === month || now.getUTCDate() < schedule.day_of_month) {
+      continue
+    }
+
+    try {
+      // Recorded before running, so an overlapping trigger doesn't run it twice
+      // and a run that can't start isn't tried again on every trigger
+      schedule.last_run = month
+      schedule.last_error = null
+      await storage.put(key, schedule)
+      const runs = await startScheduledRun(schedule, now)
+      await runScheduledJobs(runs)
+    } catch (error) {
+      console.error(`Schedule ${schedule.id} failed:`, error)
+      schedule.last_error = error.errors?.map(e => e.message).join('; ') || error.message
+      await storage.put(key, schedule).catch(() => {})
+    }
+  }
+}
+
+// Creates a run's jobs, one per report type, and adds them to the schedule's
+// history. Returns the jobs with their payloads for runScheduledJobs. Each
+// payload is passed to `validate` before any job is created.
+async function startScheduledRun(schedule, now, validate = () => {}) {
+  const dates = getScheduleDates(schedule, now)
+  // Saved accounts and groups are looked up on each run, so changes to them apply
+  const requests = await Promise.all(schedule.report_types.map(reportType =>
+    resolveAccounts({ ...schedule.harvest, ...dates, report_type: reportType, owner: schedule.owner })))
+  requests.forEach(validate)
+  const runs = []
+  for (const requestData of requests) {
+    runs.push({ job: await createJob(requestData, schedule), requestData })
+  }
+
+  schedule.runs = [...runs.map(run => run.job.id), ...schedule.runs].slice(0, MAX_SCHEDULE_RUNS)
+  await getStorage().put(`schedule:${schedule.id}`, schedule)
+  return runs
+}
+
+async function runScheduledJobs(runs) {
+  for (const { job, requestData } of runs) {
+    await runJob(job, requestData)
+  }
+}
+
+// Saved accounts and named groups of them, so harvests don't need credentials
+// pasted in each time. Accounts live under account:<id> and groups, which list
+// account IDs, under account-group:<id>. Harvest payloads name them with
+// `account_ids` and `account_groups`, alongside or instead of `accounts`.
+const REGISTRIES = {
+  accounts: {
+    prefix: 'account:',
+    fields: ['requestor_id', 'customer_id', 'api_key', 'institution_name', 'consortium', 'tags', 'notes'],
+    validate: validateAccount,
+    sortKey: account => account.institution_name || account.customer_id
+  },
+  'account-groups': {
+    prefix: 'account-group:',
+    fields: ['name', 'account_ids', 'notes'],
+    validate: validateAccountGroup,
+    sortKey: group => group.name
+  }
+}
+
+async function handleRegistryRequest(request, url, client, corsHeaders) {
+  const storage = getStorage()
+  const [, kind, recordId] = url.pathname.split('/')
+  const registry = REGISTRIES[kind]
+
+  if (!recordId) {
+    if (request.method === 'GET') {
+      const keys = await storage.list(registry.prefix)
+      const records = (await Promise.all(keys.map(key => storage.get(key)))).filter(record => record?.owner === client.id)
+      return jsonResponse(records.sort((a, b) => registry.sortKey(a).localeCompare(registry.sortKey(b))), corsHeaders)
+    }
+    if (request.method === 'POST') {
+      const record = await buildRegistryRecord(registry, await request.json(), null, client.id)
+      await storage.put(registry.prefix + record.id, record)
+      return jsonResponse(record, corsHeaders, 201)
+    }
+    return new Response('Not Found', { status: 404, headers: corsHeaders })
+  }
+
+  const existing = await storage.get(registry.prefix + recordId)
+  if (!existing || existing.owner !== client.id) {
+    return jsonResponse({ error: `${kind === 'accounts' ? 'Account' : 'Account group'} not found` }, corsHeaders, 404)
+  }
+
+  if (request.method === 'GET') {
+    return jsonResponse(existing, corsHeaders)
+  }
+  if (request.method === 'PUT') {
+    const record = await buildRegistryRecord(registry, await request.json(), existing)
+    await storage.put(registry.prefix + record.id, record)
+    return jsonResponse(record, corsHeaders)
+  }
+  if (request.method === 'DELETE') {
+    await storage.delete(registry.prefix + recordId)
+    if (kind === 'accounts') {
+      await removeFromGroups(recordId)
+    }
+    return jsonResponse({ id: recordId, deleted: true }, corsHeaders)
+  }
+
+  return new Response('Not Found', { status: 404, headers: corsHeaders })
+}
+
+// Builds an account or group from a request body, on top of the existing record when updating
+async function buildRegistryRecord(registry, data, existing = null, owner = null) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError([{ field: null, message: 'The request body must be a JSON object' }])
+  }
+  const now = new Date().toISOString()
+  const record = {
+    id: crypto.randomUUID(),
+    created: now,
+    owner,
+    ...existing,
+    ...Object.fromEntries(registry.fields.filter(field => data[field] !== undefined).map(field => [field, data[field]])),
+    updated: now
+  }
+  await registry.validate(record)
+  return record
+}
+
+// Both IDs are required: the textarea used to drop accounts missing either one without a word
+async function validateAccount(account) {
+  const errors = []
+  for (const field of ['requestor_id', 'customer_id']) {
+    account[field] = String(account[field] ?? '').trim()
+    if (!account[field]) {
+      errors.push({ field, message: `An account needs a ${field}` })
+    }
+  }
+  // Tags can be sent as a list or a comma-separated string
+  const tags = typeof account.tags === 'string' ? account.tags.split(',') : account.tags ?? []
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    errors.push({ field: 'tags', message: 'Tags must be a list of strings or a comma-separated string' })
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid account')
+  }
+
+  if (!account.api_key) {
+    delete account.api_key
+  }
+  account.institution_name = String(account.institution_name ?? '').trim()
+  account.consortium = !!account.consortium
+  account.tags = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))]
+  account.notes = String(account.notes ?? '')
+}
+
+async function validateAccountGroup(group) {
+  group.name = String(group.name ?? '').trim()
+  if (!group.name) {
+    throw new ValidationError([{ field: 'name', message: 'An account group needs a name' }], 'Invalid account group')
+  }
+  const accountIds = group.account_ids ?? []
+  if (!Array.isArray(accountIds) || accountIds.some(id => typeof id !== 'string')) {
+    throw new ValidationError([{ field: 'account_ids', message: 'Must be a list of account IDs' }], 'Invalid account group')
+  }
+  group.account_ids = [...new Set(accountIds)]
+  const storage = getStorage()
+  for (const accountId of group.account_ids) {
+    if ((await storage.get(`account:${accountId}`))?.owner !== group.owner) {
+      throw new ValidationError([{ field: 'account_ids', message: `Unknown account: ${accountId}` }], 'Invalid account group')
+    }
+  }
+  group.notes = String(group.notes ?? '')
+}
+
+// Takes a deleted account out of every group that lists it
+async function removeFromGroups(accountId) {
+  const storage = getStorage()
+  for (const key of await storage.list('account-group:')) {
+    const group = await storage.get(key)
+    if (group?.account_ids.includes(accountId)) {
+      group.account_ids = group.account_ids.filter(id => id !== accountId)
+      group.updated = new Date().toISOString()
+      await storage.put(key, group)
+    }
+  }
+}
+
+// Adds the saved accounts a harvest payload names, directly or through groups,
+// to its `accounts`. A saved account that's already in the list isn't added
+// twice. Only the records of the payload's `owner` can be named.
+async function resolveAccounts(requestData) {
+  const errors = []
+  for (const field of ['accounts', 'account_ids', 'account_groups']) {
+    if (requestData[field] !== undefined && !Array.isArray(requestData[field])) {
+      errors.push({ field, message: 'Must be a list' })
+    }
+  }
+  for (const field of ['account_ids', 'account_groups']) {
+    if (Array.isArray(requestData[field]) && requestData[field].some(id => typeof id !== 'string')) {
+      errors.push({ field, message: 'Must be a list of IDs' })
+    }
+  }
+  if (Array.isArray(requestData.accounts)) {
+    requestData.accounts.forEach((account, i) => {
+      if (!account || typeof account !== 'object' || Array.isArray(account)) {
+        errors.push({ field: `accounts[${i}]`, message: 'An account must be an object' })
+      }
+    })
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid harvest request')
+  }
+
+  const { account_ids = [], account_groups = [] } = requestData
+  if (account_ids.length === 0 && account_groups.length === 0) {
+    return requestData
+  }
+
+  const storage = getStorage()
+  const ids = [...account_ids]
+  for (const groupId of account_groups) {
+    const group = await storage.get(`account-group:${groupId}`)
+    if (!group || group.owner !== requestData.owner) {
+      throw new ValidationError([{ field: 'account_groups', message: `Unknown account group: ${groupId}` }], 'Invalid harvest request')
+    }
+    ids.push(...group.account_ids)
+  }
+
+  const accounts = [...(requestData.accounts || [])]
+  const seen = new Set(accounts.map(a => `${a.requestor_id}|${a.customer_id}`))
+  for (const accountId of new Set(ids)) {
+    const saved = await storage.get(`account:${accountId}`)
+    if (!saved || saved.owner !== requestData.owner) {
+      throw new ValidationError([{ field: 'account_ids', message: `Unknown account: ${accountId}` }], 'Invalid harvest request')
+    }
+    const key = `${saved.requestor_id}|${saved.customer_id}`
+    if (seen.has(key)) continue
+    seen.add(key)
+
+    // Just what the harvest needs: the credentials and who they're for
+    const { requestor_id, customer_id, api_key, institution_name, consortium } = saved
+    const account = { requestor_id, customer_id, institution_name }
+    if (api_key) account.api_key = api_key
+    if (consortium) account.consortium = true
+    accounts.push(account)
+  }
+
+  return { ...requestData, accounts }
+}
+
+// Storage for state that outlives a request: Workers KV when a HARVEST_KV
+// namespace is bound, otherwise an in-memory map that only lasts as long as
+// the isolate (enough for local testing). Values are JSON.
+function getStorage() {
+  if (typeof HARVEST_KV !== 'undefined') {
+    return createKvStorage(HARVEST_KV)
+  }
+  return memoryStorage
+}
+
+const memoryEntries = new Map()
+
+const memoryStorage = {
+  async get(key) {
+    return memoryEntries.has(key) ? JSON.parse(memoryEntries.get(key)) : null
+  },
+  async put(key, value) {
+    memoryEntries.set(key, JSON.stringify(value))
+  },
+  async delete(key) {
+    memoryEntries.delete(key)
+  },
+  async list(prefix) {
+    return [...memoryEntries.keys()].filter(key => key.startsWith(prefix))
+  }
+}
+
+function createKvStorage(namespace) {
+  return {
+    get: key => namespace.get(key, 'json'),
+    put: (key, value, options = {}) => namespace.put(key, JSON.stringify(value),
+      options.ttl ? { expirationTtl: options.ttl } : {}),
+    delete: key => namespace.delete(key),
+    async list(prefix) {
+      const keys = []
+      let cursor
+      do {
+        const page = await namespace.list({ prefix, cursor })
+        keys.push(...page.keys.map(k => k.name))
+        cursor = page.list_complete ? null : page.cursor
+      } while (cursor)
+      return keys
+    }
+  }
+}
+
+// Concurrency and per-host pacing, overridable per harvest with `concurrency`
+// and `rate_limit` (requests per second to any one host) in the payload
+const DEFAULT_CONCURRENCY = 4
+const MAX_CONCURRENCY = 10
+const DEFAULT_RATE_LIMIT = 10
+const MAX_RATE_LIMIT = 50
+
+// Requests per second to any one host. Always positive, since a zero or
+// negative limit would turn the pacing off.
+function getRateLimit(requestData) {
+  const rateLimit = parseFloat(requestData.rate_limit)
+  if (!(rateLimit > 0)) return DEFAULT_RATE_LIMIT
+  return Math.min(rateLimit, MAX_RATE_LIMIT)
+}
+
+// Harvests every account in the payload, reporting progress through emit.
+// Aborting `signal` stops any further upstream calls; the result then covers
+// only the accounts that had finished, and is marked `cancelled`.
+async function runHarvest(requestData, emit, signal) {
+  // Fail fast on an unknown provider or report
+  getProvider(requestData.provider)
+  getReportDefinition(requestData)
+  const concurrency = Math.min(Math.max(parseInt(requestData.concurrency) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY)
+  const throttle = createRateLimiter(getRateLimit(requestData))
+
+  const { accounts, failures } = await expandConsortia(requestData, emit, { throttle, signal })
+  const preflight = requestData.preflight ? await runPreflight(requestData, accounts, failures, { throttle, signal }) : null
+  if (preflight) {
+    await emit({ type: 'preflight', accounts: preflight.capabilities })
+  }
+  const outcomes = new Array(accounts.length)
+  // Keyed by account index, since one customer_id can appear under several requestors
+  const inFlight = new Map()
+  let started = 0, completed = 0
+  let successful = 0, warnings = 0, failed = 0
+  let cachedMonths = 0, fetchedMonths = 0
+  const totalAccounts = accounts.length
+  const startTime = Date.now()
+
+  // Comparisons harvest each account for the earlier period as well
+  const comparisonDates = requestData.compare ? getComparisonDates(requestData) : null
+
+  // Counters only ever move forward, so events stay consistent however the
+  // accounts interleave. `current` counts accounts started, `completed` finished.
+  const sendProgress = account => emit({
+    type: 'progress',
+    current: started,
+    completed,
+    total: totalAccounts,
+    percentage: Math.round((completed / totalAccounts) * 100),
+    currentAccount: account.customer_id,
+    inFlight: [...inFlight.values()],
+    successful,
+    warnings,
+    failed,
+    cachedMonths,
+    fetchedMonths,
+    estimatedTimeRemaining: calculateETA(startTime, completed, totalAccounts)
+  })
+
+  await runPool(accounts, concurrency, async (account, index) => {
+    started++
+    inFlight.set(index, account.customer_id)
+    await sendProgress(account)
+
+    const options = {
+      throttle,
+      signal,
+      onRetry: retry => emit({
+        type: 'retry',
+        currentAccount: account.customer_id,
+        ...retry
+      }),
+      onCache: cache => {
+        cachedMonths += cache.cachedMonths
+        fetchedMonths += cache.fetchedMonths
+        return emit({
+          type: 'cache',
+          currentAccount: account.customer_id,
+          ...cache
+        })
+      }
+    }
+    // Preflight may have moved the account to an earlier COUNTER version
+    const version = preflight?.versions.get(account)
+    const accountRequest = version ? { ...requestData, format: version } : requestData
+    let outcome = failures.get(account) || await harvestAccount(accountRequest, account, options)
+    if (outcome && comparisonDates && !failures.has(account)) {
+      const previous = await harvestAccount({ ...accountRequest, ...comparisonDates }, account, options)
+      outcome = previous && combineComparisonOutcomes(outcome, previous)
+    }
+    if (!outcome) {
+      // Cancelled before this account finished
+      inFlight.delete(index)
+      return
+    }
+    outcome.exceptions = outcome.exceptions.map(e => ({ customer_id: account.customer_id, ...e }))
+    outcome.account = account
+    if (hasConsortia(requestData)) {
+      addMemberColumns(outcome, account)
+    }
+    outcomes[index] = outcome
+
+    completed++
+    inFlight.delete(index)
+    if (outcome.status === 'success') {
+      successful++
+    } else if (outcome.status === 'warning') {
+      warnings++
+    } else {
+      failed++
+    }
+
+    if (outcome.validation?.length > 0) {
+      await emit({
+        type: 'validation',
+        currentAccount: account.customer_id,
+        errors: outcome.validation.filter(issue => issue.severity === 'error').length,
+        warnings: outcome.validation.filter(issue => issue.severity === 'warning').length,
+        issues: outcome.validation.slice(0, 20)
+      })
+    }
+    if (outcome.exceptions.length > 0) {
+      await emit({
+        type: 'exceptions',
+        currentAccount: account.customer_id,
+        status: outcome.status,
+        exceptions: outcome.exceptions
+      })
+    }
+    await sendProgress(account)
+  }, signal)
+
+  // Collect in input order so the output doesn't depend on which account finished first
+  const finished = outcomes.filter(Boolean)
+  const results = finished.flatMap(o => o.entries)
+  const exceptions = finished.flatMap(o => o.exceptions)
+
+  const costs = requestData.cost_per_use ? await applyCostPerUse(finished, requestData) : null
+  const cancelled = !!signal?.aborted
+  const incomplete = cancelled ? `INCOMPLETE: harvest cancelled after ${finished.length} of ${totalAccounts} accounts` : null
+  const output = await renderOutput(results, requestData, finished, costs, incomplete)
+  const totalUsage = results.filter(r => r.Metric_Type !== 'ERROR')
+    .reduce((sum, r) => sum + (parseInt(r.Reporting_Period_Total) || 0), 0)
+  const platforms = [...new Set(results.filter(r => r.Metric_Type !== 'ERROR' && r.Metric_Type !== 'No Data').map(r => r.Platform).filter(p => p))]
+  const metricTypes = [...new Set(results.map(r => r.Metric_Type).filter(m => m && m !== 'ERROR' && m !== 'No Data'))]
+
+  return {
+    ...output,
+    compliance: {
+      filename: generateFilename(requestData) + '_compliance',
+      csv: formatComplianceReport(finished)
+    },
+    successful,
+    warnings,
+    failed,
+    total: totalAccounts,
+    cancelled,
+    summary: {
+      totalUsage,
+      uniquePlatforms: platforms.length,
+      metricTypes: metricTypes.slice(0, 5),
+      exceptions,
+      cachedMonths,
+      fetchedMonths,
+      ...(costs && { costPerUse: costs }),
+      ...(preflight && { preflight: preflight.capabilities }),
+      compliance: finished.map(outcome => ({
+        customer_id: outcome.account.customer_id,
+        checked: !!outcome.validation,
+        errors: (outcome.validation || []).filter(issue => issue.severity === 'error').length,
+        warnings: (outcome.validation || []).filter(issue => issue.severity === 'warning').length
+      }))
+    }
+  }
+}
+
+// Consortia. An account with `consortium: true` is a consortium's own
+// credentials: the provider's /members endpoint lists its members, and each
+// member is harvested as an account of its own under the consortium's
+// requestor_id and api_key. Their rows carry the consortium, the member's name
+// and customer_id, and the pivot subtotals them under the consortium.
+const MEMBER_COLUMNS = ['Consortium', 'Member_Name', 'Customer_ID']
+
+function hasConsortia(requestData) {
+  return (requestData.accounts || []).some(account => account.consortium)
+}
+
+// The accounts to harvest, with consortia replaced by their members. A
+// consortium whose members can't be listed stays in the list, with its failed
+// outcome in `failures`. Consortia are listed a few at a time, each announced
+// with a `consortium` event before its /members request. Throws a
+// ValidationError if the members take the harvest past MAX_ACCOUNTS.
+async function expandConsortia(requestData, emit, options) {
+  const consortia = requestData.accounts.filter(account => account.consortium)
+  const expanded = new Map()
+  let listing = 0
+  await runPool(consortia, DEFAULT_CONCURRENCY, async account => {
+    await emit({ type: 'consortium', currentAccount: account.customer_id, current: ++listing, total: consortia.length })
+    const members = await fetchMembers(requestData, account, options)
+    if (!members.outcome) {
+      await emit({ type: 'members', currentAccount: account.customer_id, members: members.accounts.length })
+    }
+    expanded.set(account, members)
+  }, options.signal)
+
+  const accounts = []
+  const failures = new Map()
+  for (const account of requestData.accounts) {
+    const members = expanded.get(account)
+    if (!account.consortium) {
+      accounts.push(account)
+    } else if (members?.outcome) {
+      accounts.push(account)
+      failures.set(account, members.outcome)
+    } else if (members) {
+      accounts.push(...members.accounts)
+    }
+  }
+  if (accounts.length > MAX_ACCOUNTS) {
+    // Also the message of the error event when this happens during a harvest
+    const message = `With their consortia's members these are ${accounts.length} accounts; at most ${MAX_ACCOUNTS} can be harvested at once`
+    throw new ValidationError([{ field: 'accounts', message }], message)
+  }
+  return { accounts, failures }
+}
+
+async function fetchMembers(requestData, account, options) {
+  const consortium = account.institution_name || account.customer_id
+  try {
+    const url = `${getBaseUrl(requestData)}/members?` + new URLSearchParams(getAuthParams(requestData, account))
+    const { response, body } = await fetchWithRetry(url, getRetryPolicy(requestData), options)
+
+    const listed = Array.isArray(body) ? body.filter(member => member?.Customer_ID) : []
+    if (!response.ok || listed.length === 0) {
+      const exceptions = extractExceptions(body)
+      if (exceptions.length > 0) {
+        return { outcome: exceptionOutcome(exceptions, requestData, account) }
+      }
+      throw new Error(response.ok ? 'The provider lists no members for this consortium' : `Members request returned ${response.status}`)
+    }
+
+    // Some providers list the consortium among its own members
+    const members = listed.filter(member => member.Customer_ID !== account.customer_id)
+    return {
+      accounts: members.map(member => ({
+        ...account,
+        consortium: false,
+        customer_id: member.Customer_ID,
+        requestor_id: member.Requestor_ID || account.requestor_id,
+        institution_name: member.Name || '',
+        member_of: consortium
+      }))
+    }
+  } catch (error) {
+    console.error(`Members error for ${account.customer_id}:`, error)
+    return { outcome: { entries: [createErrorEntry(error, requestData, account)], status: 'failed', exceptions: [] } }
+  }
+}
+
+// Why an account's harvest failed: its exceptions, or the error in its row
+function describeFailure(outcome, requestData) {
+  return describeExceptions(outcome.exceptions) ||
+    outcome.entries.find(e => e.Metric_Type === 'ERROR')?.[getLabelField(requestData)] || 'Unknown error'
+}
+
+function addMemberColumns(outcome, account) {
+  for (const entry of [...outcome.entries, ...outcome.previous?.entries || []]) {
+    entry.Consortium = account.member_of || (account.consortium ? account.institution_name || account.customer_id : '')
+    entry.Member_Name = account.member_of ? account.institution_name : ''
+    entry.Customer_ID = account.customer_id
+  }
+}
+
+// Pivots rows by the harvest's pivot dimensions. When institutions come first,
+// those harvested through a consortium are grouped under a subtotal row for it.
+function buildInstitutionPivot(rows, requestData, summarize, pivotRows) {
+  const dimensions = getPivotDimensions(requestData)
+  if (dimensions[0] !== 'Institution_Name') {
+    buildPivotLevel(rows, dimensions, 0, summarize, pivotRows)
+    return
+  }
+  buildPivotLevel(rows.filter(r => !r.Consortium), dimensions, 0, summarize, pivotRows)
+  buildPivotLevel(rows.filter(r => r.Consortium), ['Consortium', ...dimensions], 0, summarize, pivotRows)
+}
+
+// Preflight. With `preflight: true` each account's /status and /reports are
+// checked for every COUNTER version the provider offers before harvesting.
+// An account whose version doesn't offer the report is moved to an earlier
+// version that does, or skipped with an error row if none does. Versions that
+// can't be checked (no /reports endpoint, say) are assumed to work. Definite
+// answers are kept for an hour under
+// preflight:<provider>:<version>:<requestor_id>:<customer_id>, since access
+// depends on the requestor; 'unknown' ones are checked again next time.
+const PREFLIGHT_TTL = 60 * 60
+
+// Most accounts one /preflight request checks, which keeps it within the
+// Worker's subrequest and CPU limits. Clients page through bigger harvests
+// with `offset` in the payload until `next_offset` comes back null. Members of
+// a consortium beyond the limit aren't checked in advance, only when the
+// harvest itself runs with `preflight: true`.
+const MAX_PREFLIGHT_ACCOUNTS = 25
+
+async function handlePreflightRequest(request, client, corsHeaders) {
+  const requestData = await parseHarvestRequest(request, client)
+  const offset = Math.max(parseInt(requestData.offset) || 0, 0)
+  const batch = { ...requestData, accounts: requestData.accounts.slice(offset, offset + MAX_PREFLIGHT_ACCOUNTS) }
+  const throttle = createRateLimiter(getRateLimit(requestData))
+  const { accounts, failures } = await expandConsortia(batch, async () => {}, { throttle })
+  const { capabilities } = await runPreflight(batch, accounts, failures, { throttle, limit: MAX_PREFLIGHT_ACCOUNTS })
+
+  const nextOffset = offset + MAX_PREFLIGHT_ACCOUNTS
+  return jsonResponse({
+    report_type: requestData.report_type.toUpperCase(),
+    version: requestData.format || '5',
+    accounts: capabilities,
+    total: requestData.accounts.length,
+    next_offset: nextOffset < requestData.accounts.length ? nextOffset : null
+  }, corsHeaders)
+}
+
+// Resolves with the capability matrix, a row per account, plus the version
+// each moved account should be harvested with. Skipped accounts get their
+// outcome added to `failures`. With `options.limit` only that many accounts
+// are checked; the rest are harvested as requested.
+async function runPreflight(requestData, accounts, failures, options) {
+  const provider = getProvider(requestData.provider)
+  const reportType = requestData.report_type.toLowerCase()
+  const requested = requestData.format || '5'
+  const earlier = Object.keys(provider.baseUrls)
+    .filter(version => parseFloat(version) < parseFloat(requested))
+    .sort((a, b) => parseFloat(b) - parseFloat(a))
+
+  const capabilities = new Array(accounts.length)
+  const versions = new Map()
+  let checking = 0
+  await runPool(accounts, DEFAULT_CONCURRENCY, async (account, index) => {
+    // A consortium whose members couldn't be listed is skipped, and says why
+    const failure = failures.get(account)
+    if (failure) {
+      capabilities[index] = { customer_id: account.customer_id, institution_name: account.institution_name || '', versions: {},
+        action: 'skip', version: null, message: `Members could not be listed: ${describeFailure(failure, requestData)}` }
+      return
+    }
+    if (options.limit && ++checking > options.limit) {
+      capabilities[index] = { customer_id: account.customer_id, institution_name: account.institution_name || '', versions: {},
+        action: 'harvest', version: requested, message: 'Not checked in advance; checked when the harvest runs' }
+      return
+    }
+    const checks = {}
+    for (const version of Object.keys(provider.baseUrls)) {
+      checks[version] = await checkCapability({ ...requestData, format: version }, account, options)
+    }
+
+    const offers = version => checks[version].status === 'unknown' ||
+      (checks[version].status === 'available' && checks[version].reports.includes(reportType))
+    const row = { customer_id: account.customer_id, institution_name: account.institution_name || '', versions: checks }
+    if (offers(requested)) {
+      Object.assign(row, { action: 'harvest', version: requested })
+    } else if (earlier.some(offers)) {
+      const version = earlier.find(offers)
+      versions.set(account, version)
+      Object.assign(row, { action: 'downgrade', version,
+        message: `${reportType.toUpperCase()} is not available in COUNTER ${requested}, so COUNTER ${version} is harvested instead` })
+    } else {
+      row.action = 'skip'
+      row.version = null
+      row.message = checks[requested].status === 'unavailable'
+        ? checks[requested].message
+        : `${provider.name} does not offer ${reportType.toUpperCase()} for this account`
+      failures.set(account, {
+        entries: [createErrorEntry(new Error(`Skipped: ${row.message}`), requestData, account)],
+        status: 'failed',
+        exceptions: []
+      })
+    }
+    capabilities[index] = row
+  }, options.signal)
+
+  return { capabilities: capabilities.filter(Boolean), versions }
+}
+
+// One account's standing with one COUNTER version: 'available' with the
+// report IDs it offers, 'unavailable' with why, or 'unknown'
+async function checkCapability(requestData, account, options) {
+  const cacheKey = ['preflight', requestData.provider || DEFAULT_PROVIDER, requestData.format,
+    account.requestor_id || '', account.customer_id].join(':')
+  const storage = getStorage()
+  const cached = await storage.get(cacheKey)
+  if (cached && Date.now() - Date.parse(cached.checked) < PREFLIGHT_TTL * 1000) {
+    return cached.capability
+  }
+
+  let capability
+  try {
+    const query = new URLSearchParams(getAuthParams(requestData, account))
+    const baseUrl = getBaseUrl(requestData)
+    const policy = getRetryPolicy(requestData)
+
+    const status = await fetchWithRetry(`${baseUrl}/status?${query}`, policy, options)
+    const service = [].concat(status.body || [])[0]
+    if (service && service.Service_Active === false) {
+      const alert = [].concat(service.Alerts || [])[0]
+      capability = { status: 'unavailable', message: service.Note || alert?.Alert || 'The SUSHI service is not active', reports: [] }
+    } else {
+      const reports = await fetchWithRetry(`${baseUrl}/reports?${query}`, policy, options)
+      const exceptions = extractExceptions(reports.body)
+      if (reports.response.ok && Array.isArray(reports.body) && reports.body.every(r => r?.Report_ID)) {
+        capability = { status: 'available', reports: reports.body.map(r => r.Report_ID.toLowerCase()) }
+      } else if (exceptions.some(e => RETRYABLE_EXCEPTIONS.includes(e.code))) {
+        // Still busy or down after the retries: no reason to skip the account
+        capability = { status: 'unknown', message: describeExceptions(exceptions), reports: [] }
+      } else if (exceptions.some(e => e.severity === 'fatal')) {
+        capability = { status: 'unavailable', message: describeExceptions(exceptions), reports: [] }
+      } else {
+        capability = { status: 'unknown', message: `Report list not available (${reports.response.status})`, reports: [] }
+      }
+    }
+  } catch (error) {
+    if (options.signal?.aborted) {
+      return { status: 'unknown', message: 'Cancelled', reports: [] }
+    }
+    capability = { status: 'unknown', message: error.message, reports: [] }
+  }
+
+  if (capability.status !== 'unknown') {
+    await storage.put(cacheKey, { checked: new Date().toISOString(), capability }, { ttl: PREFLIGHT_TTL })
+  }
+  return capability
+}
+
+// Renders harvest results in the payload's `output` format. Text formats come
+// back as `csv`, JSON ones as a `json` value, binary ones base64-encoded as `base64`, each with the filename
+// (without extension), extension and MIME type the client should save them as.
+// `outcomes` are the per-account harvest outcomes, in account order, and
+// `costs` the per-institution cost per use when it was asked for.
+// `incomplete` is the note for a cancelled harvest, so its output can't be
+// mistaken for a full one: the filename says so, and so does every format
+// (a first line in CSVs, a flag in JSON, a sheet or file in workbooks and ZIPs).
+async function renderOutput(results, requestData, outcomes, costs = null, incomplete = null) {
+  const output = await formatOutput(results, requestData, outcomes, costs, incomplete)
+  if (incomplete) {
+    output.filename += '_incomplete'
+    if (output.csv !== undefined) {
+      output.csv = toCsvRow([incomplete]) + '\n' + output.csv
+    }
+  }
+  return output
+}
+
+async function formatOutput(results, requestData, outcomes, costs, incomplete) {
+  const output = requestData.output || 'csv'
+  const notes = incomplete ? [{ name: `${generateFilename(requestData)}_INCOMPLETE.txt`, content: incomplete }] : []
+
+  if (requestData.compare) {
+    return {
+      output,
+      csv: requestData.formatted
+        ? formatComparisonPivot(outcomes, requestData)
+        : formatComparisonCsv(outcomes, requestData),
+      filename: generateFilename(requestData) + '_yoy' + (requestData.formatted ? '_formatted' : ''),
+      extension: 'csv',
+      mimeType: 'text/csv'
+    }
+  }
+
+  if (output === 'counter') {
+    // One COUNTER report per institution: a single CSV for one account, a ZIP
+    // otherwise. The tabular format has no room for the incomplete note, so a
+    // cancelled harvest is always zipped with it.
+    const used = new Set()
+    const reports = outcomes.map(outcome => ({
+      name: uniqueFilename(`${generateFilename(requestData)}_${outcome.account.customer_id}.csv`, used),
+      content: formatCounterReport(outcome, requestData)
+    }))
+    if (reports.length === 1 && !incomplete) {
+      return {
+        output,
+        csv: reports[0].content,
+        filename: reports[0].name.replace(/\.csv$/, ''),
+        extension: 'csv',
+        mimeType: 'text/csv'
+      }
+    }
+    return {
+      output,
+      base64: toBase64(await createZip([...notes, ...reports])),
+      filename: generateFilename(requestData) + '_counter',
+      extension: 'zip',
+      mimeType: 'application/zip'
+    }
+  }
+
+  if (output === 'csv-zip') {
+    return {
+      output,
+      base64: toBase64(await createZip([...notes, ...buildAccountFiles(outcomes, requestData, costs)])),
+      filename: generateFilename(requestData) + '_by_institution',
+      extension: 'zip',
+      mimeType: 'application/zip'
+    }
+  }
+
+  if (output === 'xlsx') {
+    const workbook = await buildWorkbook(results, requestData, incomplete)
+    return {
+      output,
+      base64: toBase64(workbook),
+      filename: generateFilename(requestData),
+      extension: 'xlsx',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    }
+  }
+
+  if (output === 'json' || output === 'counter-json') {
+    const json = output === 'json'
+      ? formatAsJson(results, requestData)
+      : outcomes.map(outcome => formatCounterJson(outcome, requestData))
+    return {
+      output,
+      // An incomplete harvest wraps the list, so it can't be read as the full one
+      json: incomplete ? { incomplete: true, message: incomplete, results: json } : json,
+      filename: generateFilename(requestData) + (output === 'counter-json' ? '_counter' : ''),
+      extension: 'json',
+      mimeType: 'application/json'
+    }
+  }
+
+  if (output === 'ranking') {
+    return {
+      output,
+      csv: formatRanking(results, requestData),
+      filename: generateFilename(requestData) + '_top_titles',
+      extension: 'csv',
+      mimeType: 'text/csv'
+    }
+  }
+
+  if (output !== 'csv') {
+    throw new Error(`Unsupported output: ${output}`)
+  }
+
+  return {
+    output,
+    csv: requestData.formatted
+      ? formatAsPivot(results, requestData, costs)
+      : convertToCSV(results, requestData),
+    filename: generateFilename(requestData) + (requestData.formatted ? '_formatted' : ''), // Add filename
+    extension: 'csv',
+    mimeType: 'text/csv'
+  }
+}
+
+// Runs worker over items with at most `concurrency` calls in flight. Once
+// `signal` is aborted no further items are started.
+async function runPool(items, concurrency, worker, signal) {
+  let next = 0
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++
+      await worker(items[index], index)
+    }
+  })
+  await Promise.all(runners)
+}
+
+// Spaces out requests to each host so they start at most requestsPerSecond
+// apart, however many accounts are in flight. Resolves when the caller may go.
+function createRateLimiter(requestsPerSecond) {
+  const interval = 1000 / requestsPerSecond
+  const nextSlot = {}
+
+  return async url => {
+    const host = new URL(url).host
+    const now = Date.now()
+    const slot = Math.max(now, nextSlot[host] || 0)
+    nextSlot[host] = slot + interval
+    if (slot > now) {
+      await sleep(slot - now)
+    }
+  }
+}
+
+// Resolves after ms, or as soon as `signal` is aborted
+function sleep(ms, signal) {
+  return new Promise(r => {
+    const timer = setTimeout(r, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      r()
+    }, { once: true })
+  })
+}
+
+// Fetches and parses one account's report. Never throws: failures come back as
+// an error entry with status 'failed'. `options.throttle` paces each request,
+// `options.onRetry` is called before each retry and `options.onCache` with the
+// months read from the response cache. Aborting `options.signal` stops the
+// request, and the account then resolves with null.
+async function harvestAccount(requestData, account, options = {}) {
+  try {
+    const { response, body } = await fetchReport(requestData, account, options)
+
+    // No response means every month came from the cache
+    if (response && !response.ok) {
+      // SUSHI servers usually explain 4xx/5xx responses with an exception body
+      const exceptions = extractExceptions(body)
+      if (exceptions.length > 0) {
+        return exceptionOutcome(exceptions, requestData, account)
+      }
+      throw new Error(`API returned ${response.status}`)
+    }
+
+    if (body === null) {
+      throw new Error('API returned a response that is not JSON')
+    }
+
+    const outcome = processApiResponse(body, requestData, account)
+    outcome.report = body // The raw SUSHI response, for outputs that need its Report_Header
+    if (body.Report_Header) {
+      outcome.validation = validateReport(body, requestData)
+    }
+    return outcome
+
+  } catch (error) {
+    if (options.signal?.aborted) {
+      return null
+    }
+    console.error(`Error for ${account.customer_id}:`, error)
+    return { entries: [createErrorEntry(error, requestData, account)], status: 'failed', exceptions: [] }
+  }
+}
+
+// Retry settings, overridable per harvest with a `retry` object in the payload
+const DEFAULT_RETRY_POLICY = {
+  max_attempts: 4,
+  base_delay_ms: 1000,
+  max_delay_ms: 60000
+}
+
+// The most a payload's `retry` may ask for, so one harvest can't retry or wait
+// for hours
+const MAX_RETRY_POLICY = {
+  max_attempts: 10,
+  base_delay_ms: 30000,
+  max_delay_ms: 300000
+}
+
+// Statuses and COUNTER exceptions that mean "try again later" rather than "this failed"
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504]
+const RETRYABLE_EXCEPTIONS = [1000, 1010, 1011, 1020]
+
+function getRetryPolicy(requestData) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...requestData.retry }
+  return {
+    max_attempts: Math.min(Math.max(1, parseInt(policy.max_attempts) || 1), MAX_RETRY_POLICY.max_attempts),
+    base_delay_ms: Math.min(Math.max(0, parseInt(policy.base_delay_ms) || 0), MAX_RETRY_POLICY.base_delay_ms),
+    max_delay_ms: Math.min(Math.max(0, parseInt(policy.max_delay_ms) || 0), MAX_RETRY_POLICY.max_delay_ms)
+  }
+}
+
+// Fetches a SUSHI URL, retrying transient failures. Resolves with the last
+// response and its parsed JSON body (null when the body is not JSON).
+async function fetchWithRetry(url, policy, { throttle = async () => {}, onRetry = () => {}, signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    let response = null, body = null, reason
+    try {
+      await throttle(url)
+      signal?.throwIfAborted()
+      response = await fetch(url, { signal })
+      body = await response.json().catch(() => null)
+      reason = getRetryReason(response, body)
+    } catch (error) {
+      // Network failure: retry it like a 5xx, but rethrow once we run out
+      if (attempt >= policy.max_attempts || signal?.aborted) throw error
+      reason = error.message
+    }
+
+    if (!reason || attempt >= policy.max_attempts) {
+      return { response, body }
+    }
+
+    const delay = getRetryDelay(attempt, response, policy)
+    await onRetry({ attempt, maxAttempts: policy.max_attempts, delay, reason })
+    await sleep(delay, signal)
+  }
+}
+
+function getRetryReason(response, body) {
+  if (RETRYABLE_STATUSES.includes(response.status)) {
+    return `API returned ${response.status}`
+  }
+  const retryable = extractExceptions(body).find(e => RETRYABLE_EXCEPTIONS.includes(e.code))
+  return retryable ? `${retryable.code}: ${retryable.message}` : null
+}
+
+// Honors Retry-After (seconds or an HTTP date) when the server sends it,
+// otherwise exponential backoff with jitter. Both are capped at max_delay_ms.
+function getRetryDelay(attempt, response, policy) {
+  const retryAfter = response?.headers.get('Retry-After')
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000
+    if (!Number.isNaN(delay)) {
+      return Math.min(Math.max(delay, 0), policy.max_delay_ms)
+    }
+  }
+
+  const backoff = Math.min(policy.base_delay_ms * 2 ** (attempt - 1), policy.max_delay_ms)
+  return Math.round(backoff / 2 + Math.random() * backoff / 2)
+}
+
+// Response cache. Usage for a month stops changing once the provider has
+// published it, which COUNTER requires by the end of the following month, so
+// months settled before then are cached per provider, report, version and
+// account, in one entry per calendar year under sushi:<...>:<yyyy> mapping each
+// month to its slice of the report. That keeps KV to a read and at most a
+// write per account and year. A harvest only requests the months that aren't
+// cached and merges them with the cached ones into a single SUSHI response.
+// `refresh: true` in the payload ignores the cache and overwrites it.
+const CACHE_TTL = 365 * 24 * 60 * 60
+
+// Long ranges are requested in chunks, which some providers need to avoid
+// timing out or truncating the report. The size divides a year or is a whole
+// number of years, and chunks start on multiples of it counted from January,
+// so a chunk never runs across a year boundary except to cover whole years:
+// 12 requests calendar years and 3 quarters. The size comes from the
+// payload's `chunk_months`, then the provider's.
+const DEFAULT_CHUNK_MONTHS = 12
+const MAX_CHUNK_MONTHS = 120
+
+async function fetchReport(requestData, account, options = {}) {
+  const policy = getRetryPolicy(requestData)
+  const months = getReportMonths(requestData.begin_date, requestData.end_date)
+  const cacheKey = await getCacheKey(requestData, account)
+  const storage = getStorage()
+
+  // Year entries are read even on a refresh, so writing the fetched months
+  // back keeps the other months already cached for those years
+  const years = [...new Set(months.filter(month => isSettledMonth(month)).map(month => month.slice(0, 4)))]
+  const stored = new Map(await Promise.all(years.map(async year => [year, await storage.get(`${cacheKey}:${year}`) || {}])))
+  const cached = new Map()
+  if (!requestData.refresh) {
+    for (const month of months.filter(month => isSettledMonth(month))) {
+      const report = stored.get(month.slice(0, 4))[month]
+      if (report) cached.set(month, report)
+    }
+  }
+  const missing = months.filter(month => !cached.has(month))
+  await options.onCache?.({ cachedMonths: cached.size, fetchedMonths: missing.length })
+
+  // Settled months fetched this time, by year, saved once the fetching is done
+  const fetched = {}
+  const saveFetched = () => Promise.all(Object.entries(fetched).map(([year, reports]) =>
+    storage.put(`${cacheKey}:${year}`, { ...stored.get(year), ...reports }, { ttl: CACHE_TTL })
+  ))
+
+  let result = { response: null, body: null }
+  const reports = [...cached.values()]
+  for (const [begin, end] of groupMonthRuns(missing, getChunkMonths(requestData))) {
+    const range = { begin_date: `${begin}-01`, end_date: getMonthEnd(end) }
+    result = await fetchWithRetry(buildApiUrl({ ...requestData, ...range }, account), policy, options)
+    // A failure, or a response that is only exceptions, stands for the whole harvest
+    if (!result.response.ok || !result.body?.Report_Header ||
+        extractExceptions(result.body).some(e => e.severity === 'fatal')) {
+      await saveFetched()
+      return result
+    }
+
+    if (!extractExceptions(result.body).some(e => e.severity === 'warning')) {
+      for (const month of getReportMonths(range.begin_date, range.end_date).filter(month => isSettledMonth(month))) {
+        fetched[month.slice(0, 4)] = { ...fetched[month.slice(0, 4)], [month]: sliceReport(result.body, month) }
+      }
+    }
+    reports.push(result.body)
+  }
+  await saveFetched()
+
+  // A single request covering the whole range is passed through untouched
+  if (cached.size === 0 && reports.length === 1) {
+    return result
+  }
+  return { response: result.response, body: mergeReports(reports, requestData) }
+}
+
+// Everything but the dates goes into the key, so master reports with different
+// attributes or filters are cached apart. So do the credentials, hashed, so a
+// cached report is only served to the credentials that fetched it.
+async function getCacheKey(requestData, account) {
+  const url = new URL(buildApiUrl(requestData, account))
+  url.searchParams.delete('begin_date')
+  url.searchParams.delete('end_date')
+  url.searchParams.sort()
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(url.search))
+  const hash = [...new Uint8Array(digest).slice(0, 8)].map(b => b.toString(16).padStart(2, '0')).join('')
+  return ['sushi', requestData.provider || DEFAULT_PROVIDER, requestData.report_type.toLowerCase(),
+    requestData.format || '5', account.customer_id, hash].join(':')
+}
+
+// The yyyy-mm months a date range covers
+function getReportMonths(beginDate, endDate) {
+  const months = []
+  let [year, month] = beginDate.split('-').map(Number)
+  const [endYear, endMonth] = endDate.split('-').map(Number)
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`)
+    month = month % 12 + 1
+    if (month === 1) year++
+  }
+  return months
+}
+
+function getMonthEnd(month) {
+  const [year, monthNum] = month.split('-').map(Number)
+  return `${month}-${new Date(Date.UTC(year, monthNum, 0)).getUTCDate()}`
+}
+
+// True once the month after `month` has ended
+function isSettledMonth(month, now = new Date()) {
+  const [year, monthNum] = month.split('-').map(Number)
+  return Date.UTC(year, monthNum + 1, 1) <= now.getTime()
+}
+
+function getChunkMonths(requestData) {
+  const provider = getProvider(requestData.provider)
+  return parseInt(requestData.chunk_months) || (isChunkSize(provider.chunk_months) ? provider.chunk_months : DEFAULT_CHUNK_MONTHS)
+}
+
+// Sizes that divide a year or are whole years
+function isChunkSize(months) {
+  return Number.isInteger(months) && months >= 1 && months <= MAX_CHUNK_MONTHS &&
+    (12 % months === 0 || months % 12 === 0)
+}
+
+// Consecutive months as [first, last] pairs, each one request: a run of
+// months ends at a gap or at a chunk boundary
+function groupMonthRuns(months, chunkMonths) {
+  const runs = []
+  for (const month of months) {
+    const run = runs[runs.length - 1]
+    const [year, monthNum] = month.split('-').map(Number)
+    const chunkStart = (year * 12 + monthNum - 1) % chunkMonths === 0
+    if (run && !chunkStart && getReportMonths(run[1], month).length === 2) {
+      run[1] = month
+    } else {
+      runs.push([month, month])
+    }
+  }
+  return runs
+}
+
+// One month of a SUSHI response: its items with only that month's usage.
+// COUNTER 5 lists usage as Performance periods, 5.1 as months under each metric.
+function sliceReport(report, month) {
+  const sliceItem = item => {
+    const sliced = { ...item }
+    if (Array.isArray(item.Items)) {
+      sliced.Items = item.Items.map(sliceItem).filter(Boolean)
+      if (sliced.Items.length === 0) return null
+    }
+    if (Array.isArray(item.Performance)) {
+      sliced.Performance = item.Performance.filter(p => p.Period?.Begin_Date?.startsWith(month))
+      if (sliced.Performance.length === 0) return null
+    }
+    if (Array.isArray(item.Attribute_Performance)) {
+      sliced.Attribute_Performance = item.Attribute_Performance.map(attrPerf => {
+        const performance = Object.fromEntries(Object.entries(attrPerf.Performance || {})
+          .map(([metric, counts]) => [metric, counts[month] !== undefined ? { [month]: counts[month] } : null])
+          .filter(([, counts]) => counts))
+        return Object.keys(performance).length > 0 ? { ...attrPerf, Performance: performance } : null
+      }).filter(Boolean)
+      if (sliced.Attribute_Performance.length === 0) return null
+    }
+    return sliced
+  }
+  return { ...report, Report_Items: (report.Report_Items || []).map(sliceItem).filter(Boolean) }
+}
+
+// Merges responses for different months of the same report into one covering
+// the harvest's dates. Items, and 5.1 attribute sets, that appear in several
+// responses are joined with their usage combined.
+function mergeReports(reports, requestData) {
+  const identity = (value, ...usage) => JSON.stringify(Object.fromEntries(Object.entries(value).filter(([key]) => !usage.includes(key))))
+
+  const mergeItems = items => {
+    const merged = new Map()
+    for (const item of items) {
+      const key = identity(item, 'Performance', 'Attribute_Performance', 'Items')
+      const existing = merged.get(key)
+      if (!existing) {
+        merged.set(key, { ...item })
+        continue
+      }
+      if (Array.isArray(item.Items)) {
+        existing.Items = mergeItems([...existing.Items || [], ...item.Items])
+      }
+      if (Array.isArray(item.Performance)) {
+        existing.Performance = [...existing.Performance || [], ...item.Performance]
+      }
+      if (Array.isArray(item.Attribute_Performance)) {
+        const sets = new Map((existing.Attribute_Performance || []).map(a => [identity(a, 'Performance'), a]))
+        for (const attrPerf of item.Attribute_Performance) {
+          const setKey = identity(attrPerf, 'Performance')
+          const set = sets.get(setKey) || { ...attrPerf, Performance: {} }
+          for (const [metric, counts] of Object.entries(attrPerf.Performance || {})) {
+            set.Performance = { ...set.Performance, [metric]: { ...set.Performance[metric], ...counts } }
+          }
+          sets.set(setKey, set)
+        }
+        existing.Attribute_Performance = [...sets.values()]
+      }
+    }
+    return [...merged.values()]
+  }
+
+  const exceptions = new Map()
+  for (const report of reports) {
+    for (const exception of report.Report_Header?.Exceptions || []) {
+      exceptions.set(`${exception.Code}:${exception.Message}:${exception.Data || ''}`, exception)
+    }
+  }
+  const header = { ...reports[0].Report_Header }
+  if (Array.isArray(header.Report_Filters)) {
+    header.Report_Filters = header.Report_Filters.map(filter =>
+      filter.Name === 'Begin_Date' ? { ...filter, Value: requestData.begin_date }
+        : filter.Name === 'End_Date' ? { ...filter, Value: requestData.end_date } : filter)
+  } else if (header.Report_Filters) {
+    header.Report_Filters = { ...header.Report_Filters, Begin_Date: requestData.begin_date, End_Date: requestData.end_date }
+  }
+  if (exceptions.size > 0) {
+    header.Exceptions = [...exceptions.values()]
+  } else {
+    delete header.Exceptions
+  }
+
+  return { ...reports[0], Report_Header: header, Report_Items: mergeItems(reports.flatMap(r => r.Report_Items || [])) }
+}
+
+// COUNTER exception codes and how they affect an account's harvest:
+// fatal - no usable report was returned; warning - the report is missing or
+// partial for a reason staff should look at; informational - nothing is wrong.
+// Codes not listed here are classified by range in classifyException.
+const EXCEPTION_SEVERITY = {
+  0: 'informational',
+  1000: 'fatal', // Service Not Available
+  1010: 'fatal', // Service Busy
+  1011: 'fatal', // Report Queued for Processing
+  1020: 'fatal', // Client has made too many requests
+  1030: 'fatal', // Insufficient Information to Process Request
+  2000: 'fatal', // Requestor Not Authorized to Access Service
+  2010: 'fatal', // Requestor is Not Authorized to Access Usage for Institution
+  2011: 'fatal', // Global Reports Not Supported
+  2020: 'fatal', // APIKey Invalid
+  2030: 'fatal', // IP Address Not Authorized to Access Service
+  3000: 'fatal', // Report Not Supported
+  3010: 'fatal', // Report Version Not Supported
+  3020: 'fatal', // Invalid Date Arguments
+  3030: 'informational', // No Usage Available for Requested Dates
+  3031: 'warning', // Usage Not Ready for Requested Dates
+  3032: 'warning', // Usage No Longer Available for Requested Dates
+  3040: 'warning', // Partial Data Returned
+  3050: 'warning', // Parameter Not Recognized in this Context
+  3060: 'warning', // Invalid ReportFilter Value
+  3061: 'warning', // Incongruous ReportFilter Value
+  3062: 'warning', // Invalid ReportAttribute Value
+  3063: 'warning', // Components Not Supported
+  3070: 'fatal', // Required ReportFilter Missing
+  3071: 'fatal', // Required ReportAttribute Missing
+  3080: 'warning' // Limit Requested Greater than Maximum Server Limit
+}
+
+function classifyException(code) {
+  if (EXCEPTION_SEVERITY[code]) return EXCEPTION_SEVERITY[code]
+  if (code === 0) return 'informational'
+  // 1xxx are service errors and 2xxx authorization errors; anything else is
+  // assumed to leave the report usable
+  return code < 3000 ? 'fatal' : 'warning'
+}
+
+// Collects exceptions from wherever the server put them: the Report_Header,
+// a bare exception object, or an array of exceptions as the whole body
+function extractExceptions(jsonData) {
+  if (!jsonData) return []
+
+  let raw = []
+  if (Array.isArray(jsonData)) {
+    raw = jsonData
+  } else if (jsonData.Report_Header) {
+    raw = jsonData.Report_Header.Exceptions || []
+  } else if (jsonData.Code !== undefined) {
+    raw = [jsonData]
+  } else if (jsonData.Exception || jsonData.Exceptions) {
+    raw = [].concat(jsonData.Exception || jsonData.Exceptions)
+  }
+
+  return raw.filter(e => e && e.Code !== undefined).map(e => {
+    const code = parseInt(e.Code) || 0
+    return {
+      code,
+      severity: classifyException(code),
+      message: e.Message || '',
+      data: e.Data || ''
+    }
+  })
+}
+
+function describeExceptions(exceptions) {
+  return exceptions.map(e => `${e.code}: ${e.message}${e.data ? ` (${e.data})` : ''}`).join('; ')
+}
+
+// The outcome for a response that carried exceptions but no report items
+function exceptionOutcome(exceptions, requestData, account, institutionName, institutionId) {
+  const fatal = exceptions.find(e => e.severity === 'fatal')
+  if (fatal) {
+    const error = new Error(fatal.message || `COUNTER exception ${fatal.code}`)
+    const entry = createErrorEntry(error, requestData, account)
+    entry.Exceptions = describeExceptions(exceptions)
+    return { entries: [entry], status: 'failed', exceptions }
+  }
+
+  const hasWarning = exceptions.some(e => e.severity === 'warning')
+  const entry = createNoDataEntry(requestData, institutionName, institutionId)
+  entry.Exceptions = describeExceptions(exceptions)
+  return { entries: [entry], status: hasWarning ? 'warning' : 'success', exceptions }
+}
+
+// SUSHI_PROVIDERS is parsed once per isolate. A malformed value is logged and
+// ignored, so the built-in providers keep working while it is fixed.
+let configuredProviders = null
+
+function getProviders() {
+  if (!configuredProviders) {
+    configuredProviders = { ...PROVIDERS, ...parseProviderConfig() }
+  }
+  return configuredProviders
+}
+
+function parseProviderConfig() {
+  if (typeof SUSHI_PROVIDERS === 'undefined' || !SUSHI_PROVIDERS) return {}
+  try {
+    const extra = JSON.parse(SUSHI_PROVIDERS)
+    if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+      throw new Error('expected an object mapping provider ids to providers')
+    }
+    return extra
+  } catch (error) {
+    console.error(`Configuration error: SUSHI_PROVIDERS is not valid (${error.message}); using the built-in providers only`)
+    return {}
+  }
+}
+
+// Report types a provider offers for a COUNTER version: its `reports` list when
+// it has one, otherwise every report we support
+function getProviderReports(provider, version) {
+  return provider.reports?.[version] || Object.keys(REPORTS)
+}
+
+function getProvider(providerId) {
+  const id = providerId || DEFAULT_PROVIDER
+  const provider = getProviders()[id]
+  if (!provider) {
+    throw new Error(`Unknown provider: ${id}`)
+  }
+  return provider
+}
+
+// Reports we can request. `kind` picks the item columns (see ITEM_COLUMNS).
+// Standard views carry a fixed set of `attributes`; master reports show
+// whichever of their `allowedAttributes` the harvest asks for and accept filters.
+// `pivot` is the row hierarchy formatAsPivot uses under each institution.
+// `metrics` are the metric types COUNTER 5 allows in the report, and
+// `releaseMetrics` those of later releases that allow different ones.
+const REPORTS = {
+  tr: { name: 'Title Master Report', kind: 'title', master: true,
+    allowedAttributes: ['Data_Type', 'Section_Type', 'YOP', 'Access_Type', 'Access_Method'],
+    pivot: ['Metric_Type'],
+    metrics: ['Total_Item_Investigations', 'Unique_Item_Investigations', 'Unique_Title_Investigations', 'Total_Item_Requests', 'Unique_Item_Requests', 'Unique_Title_Requests', 'Limit_Exceeded', 'No_License'] },
+  tr_j1: { name: 'Journal Requests (Excluding OA_Gold)', kind: 'journal', attributes: [], pivot: ['Metric_Type'],
+    metrics: ['Total_Item_Requests', 'Unique_Item_Requests'] },
+  tr_j2: { name: 'Journal Access Denied', kind: 'journal', attributes: [], pivot: ['Metric_Type'],
+    metrics: ['Limit_Exceeded', 'No_License'] },
+  tr_j3: { name: 'Journal Usage by Access Type', kind: 'journal', attributes: ['Access_Type'], pivot: ['Access_Type', 'Metric_Type'],
+    metrics: ['Total_Item_Investigations', 'Unique_Item_Investigations', 'Total_Item_Requests', 'Unique_Item_Requests'] },
+  tr_j4: { name: 'Journal Requests by YOP (Excluding OA_Gold)', kind: 'journal', attributes: ['YOP'], pivot: ['YOP', 'Metric_Type'],
+    metrics: ['Total_Item_Requests', 'Unique_Item_Requests'] },
+  tr_b1: { name: 'Book Requests (Excluding OA_Gold)', kind: 'title', attributes: ['YOP'], pivot: ['YOP', 'Metric_Type'],
+    metrics: ['Total_Item_Requests', 'Unique_Title_Requests'] },
+  tr_b2: { name: 'Book Access Denied', kind: 'title', attributes: ['YOP'], pivot: ['YOP', 'Metric_Type'],
+    metrics: ['Limit_Exceeded', 'No_License'] },
+  tr_b3: { name: 'Book Usage by Access Type', kind: 'title', attributes: ['YOP', 'Access_Type'], pivot: ['Access_Type', 'Metric_Type'],
+    metrics: ['Total_Item_Investigations', 'Unique_Item_Investigations', 'Unique_Title_Investigations', 'Total_Item_Requests', 'Unique_Item_Requests', 'Unique_Title_Requests'] },
+  ir: { name: 'Item Master Report', kind: 'item', master: true,
+    allowedAttributes: ['Authors', 'Publication_Date', 'Article_Version', 'Data_Type', 'YOP', 'Access_Type', 'Access_Method'],
+    pivot: ['Metric_Type'],
+    metrics: ['Total_Item_Investigations', 'Unique_Item_Investigations', 'Total_Item_Requests', 'Unique_Item_Requests', 'Limit_Exceeded', 'No_License'] },
+  ir_a1: { name: 'Journal Article Requests', kind: 'article', attributes: ['Access_Type'], pivot: ['Parent_Title', 'Metric_Type'],
+    metrics: ['Total_Item_Requests', 'Unique_Item_Requests'] },
+  ir_m1: { name: 'Multimedia Item Requests', kind: 'item', attributes: [], pivot: ['Metric_Type'],
+    metrics: ['Total_Item_Requests'] },
+  pr: { name: 'Platform Master Report', kind: 'platform', master: true,
+    allowedAttributes: ['Data_Type', 'Access_Method'],
+    pivot: ['Platform', 'Metric_Type'],
+    metrics: ['Searches_Platform', 'Total_Item_Investigations', 'Unique_Item_Investigations', 'Unique_Title_Investigations', 'Total_Item_Requests', 'Unique_Item_Requests', 'Unique_Title_Requests'] },
+  pr_p1: { name: 'Platform Usage', kind: 'platform', attributes: [], pivot: ['Platform', 'Metric_Type'],
+    metrics: ['Searches_Platform', 'Total_Item_Requests', 'Unique_Item_Requests', 'Unique_Title_Requests'] },
+  dr: { name: 'Database Master Report', kind: 'database', master: true,
+    allowedAttributes: ['Data_Type', 'Access_Method'],
+    pivot: ['Database', 'Metric_Type'],
+    metrics: ['Searches_Automated', 'Searches_Federated', 'Searches_Regular', 'Total_Item_Investigations', 'Unique_Item_Investigations', 'Unique_Title_Investigations', 'Total_Item_Requests', 'Unique_Item_Requests', 'Unique_Title_Requests', 'Limit_Exceeded', 'No_License'] },
+  dr_d1: { name: 'Database Search and Item Usage', kind: 'database', attributes: [], pivot: ['Database', 'Metric_Type'],
+    metrics: ['Searches_Automated', 'Searches_Federated', 'Searches_Regular', 'Total_Item_Investigations', 'Total_Item_Requests'],
+    releaseMetrics: { '5.1': ['Searches_Automated', 'Searches_Federated', 'Searches_Regular', 'Total_Item_Investigations', 'Unique_Item_Investigations', 'Total_Item_Requests', 'Unique_Item_Requests'] } },
+  dr_d2: { name: 'Database Access Denied', kind: 'database', attributes: [], pivot: ['Database', 'Metric_Type'],
+    metrics: ['Limit_Exceeded', 'No_License'] }
+}
+
+// Item columns by report kind, in COUNTER order. IR's "Item" column is filled
+// from the internal Title field.
+const ITEM_COLUMNS = {
+  title: ['Title', 'Publisher', 'Publisher_ID', 'Platform', 'DOI', 'Proprietary_ID', 'ISBN', 'Print_ISSN', 'Online_ISSN', 'URI'],
+  journal: ['Title', 'Publisher', 'Publisher_ID', 'Platform', 'DOI', 'Proprietary_ID', 'Print_ISSN', 'Online_ISSN', 'URI'],
+  item: ['Item', 'Publisher', 'Publisher_ID', 'Platform', 'DOI', 'Proprietary_ID', 'URI'],
+  article: ['Item', 'Publisher', 'Publisher_ID', 'Platform', 'Authors', 'Publication_Date', 'Article_Version', 'DOI', 'Proprietary_ID',
+    'Print_ISSN', 'Online_ISSN', 'URI', 'Parent_Title', 'Parent_Authors', 'Parent_Article_Version', 'Parent_DOI',
+    'Parent_Proprietary_ID', 'Parent_Print_ISSN', 'Parent_Online_ISSN', 'Parent_URI'],
+  database: ['Database', 'Publisher', 'Publisher_ID', 'Platform', 'Proprietary_ID'],
+  platform: ['Platform']
+}
+
+// Attribute columns always appear in this order, whatever order they were requested in
+const ATTRIBUTE_ORDER = ['Authors', 'Publication_Date', 'Article_Version', 'Data_Type', 'Section_Type', 'YOP', 'Access_Type', 'Access_Method']
+
+// Master report filters accepted in the payload's `filters` object. Lists are
+// sent pipe-separated; yop is a single year or a "2015-2020" range.
+const REPORT_FILTERS = ['data_type', 'access_type', 'access_method', 'metric_type', 'yop']
+
+function getReportDefinition(requestData) {
+  const reportType = requestData.report_type.toLowerCase()
+  const definition = REPORTS[reportType]
+  if (!definition) {
+    throw new Error(`Unsupported report type: ${requestData.report_type}`)
+  }
+  return definition
+}
+
+// The metric types the report allows in the harvest's COUNTER release
+function getReportMetrics(requestData) {
+  const definition = getReportDefinition(requestData)
+  return definition.releaseMetrics?.[requestData.format || '5'] || definition.metrics
+}
+
+// The attribute columns a harvest produces: fixed for standard views, chosen
+// through `attributes_to_show` for master reports
+function getReportAttributes(requestData) {
+  const definition = getReportDefinition(requestData)
+  if (!definition.master) {
+    return definition.attributes
+  }
+  const requested = [].concat(requestData.attributes_to_show || [])
+  return ATTRIBUTE_ORDER.filter(a => requested.includes(a) && definition.allowedAttributes.includes(a))
+}
+
+function getReportColumns(requestData) {
+  const definition = getReportDefinition(requestData)
+  return [
+    ...(hasConsortia(requestData) ? MEMBER_COLUMNS : []),
+    'Institution_Name',
+    'Institution_ID',
+    ...ITEM_COLUMNS[definition.kind],
+    ...getReportAttributes(requestData),
+    'Metric_Type',
+    'Reporting_Period_Total'
+  ]
+}
+
+// The column that names a row. Error and no-data messages go here so they show
+// up whichever report kind was harvested.
+function getLabelField(requestData) {
+  const kind = getReportDefinition(requestData).kind
+  if (kind === 'database') return 'Database'
+  if (kind === 'platform') return 'Platform'
+  return 'Title'
+}
+
+function getBaseUrl(requestData) {
+  const provider = getProvider(requestData.provider)
+  const version = requestData.format || '5'
+  const baseUrl = provider.baseUrls[version]
+  if (!baseUrl) {
+    throw new Error(`${provider.name} does not support COUNTER ${version}`)
+  }
+  return baseUrl
+}
+
+// The provider's fixed parameters plus the account's credentials
+function getAuthParams(requestData, account) {
+  const provider = getProvider(requestData.provider)
+  const params = { ...provider.params }
+  for (const key of provider.auth || []) {
+    const value = account[key] || provider.params?.[key]
+    if (!value) {
+      throw new Error(`Missing ${key} for ${provider.name}`)
+    }
+    params[key] = value
+  }
+  return params
+}
+
+function buildApiUrl(requestData, account) {
+  const baseUrl = getBaseUrl(requestData)
+  const params = getAuthParams(requestData, account)
+
+  params.begin_date = requestData.begin_date
+  params.end_date = requestData.end_date
+
+  if (getReportDefinition(requestData).master) {
+    const attributes = getReportAttributes(requestData)
+    if (attributes.length > 0) {
+      params.attributes_to_show = attributes.join('|')
+    }
+    // A filter can be one value or a list; a YOP sent as a number still filters
+    for (const filter of REPORT_FILTERS) {
+      const values = [].concat(requestData.filters?.[filter] ?? []).map(String).filter(Boolean)
+      if (values.length > 0) {
+        params[filter] = values.join('|')
+      }
+    }
+  }
+
+  return `${baseUrl}/reports/${requestData.report_type.toLowerCase()}?` + new URLSearchParams(params)
+}
+
+function processApiResponse(jsonData, requestData, account) {
+  const results = []
+  const institutionName = jsonData.Report_Header?.Institution_Name || ''
+  const institutionId = getInstitutionId(jsonData)
+  const reportItems = flattenReportItems(jsonData.Report_Items || [])
+  const exceptions = extractExceptions(jsonData)
+  const attributes = getReportAttributes(requestData)
+  
+  // Get all month columns for the query period
+  const monthColumns = getMonthColumns(requestData.begin_date, requestData.end_date)
+  
+  // Determine if this is version 5.1 format by checking the actual response structure.
+  // The user's format selection controls which endpoint URL is called, but parsing must
+  // be driven by what the response actually contains — some endpoints (e.g. IR) may not
+  // support 5.1 and will return a v5 response even when the 5.1 URL is used.
+  const isVersion51 = reportItems.length > 0 && !!reportItems[0].Attribute_Performance
+
+  console.log(`Version detection: format=${requestData.format}, isVersion51=${isVersion51}, hasAttributePerformance=${reportItems.length > 0 && !!reportItems[0].Attribute_Performance}`)
+  
+  if (reportItems && reportItems.length > 0) {
+    if (isVersion51) {
+      console.log("Processing version 5.1 format")
+      // Handle version 5.1 format
+      for (const item of reportItems) {
+        const baseData = extractItemData(item)
+        
+        // Process Attribute_Performance array. Attributes live on each
+        // Attribute_Performance entry, or on the item for item-level ones.
+        for (const attrPerf of item.Attribute_Performance || []) {
+          const attributeValues = pickAttributes(attributes, attrPerf, baseData, item)
+          const performance = attrPerf.Performance || {}
+          
+          // Process each metric type
+          for (const [metricType, monthlyData] of Object.entries(performance)) {
+            // Collect monthly values
+            const monthlyValues = {}
+            
+            for (const [month, count] of Object.entries(monthlyData)) {
+              // Convert "2025-01" format to "Jan-25" format
+              const monthKey = convertApiMonthToDisplayMonth(month)
+              monthlyValues[monthKey] = (monthlyValues[monthKey] || 0) + (parseInt(count) || 0)
+            }
+            
+            const entry = {
+              Institution_Name: institutionName,
+              Institution_ID: institutionId,
+              ...baseData,
+              ...attributeValues,
+              Metric_Type: metricType,
+              Reporting_Period_Total: 0
+            }
+            
+            // Add monthly data ensuring all expected months are present
+            fillMonths(entry, monthColumns, monthlyValues)
+
+            results.push(entry)
+          }
+        }
+      }
+    } else {
+      console.log("Processing version 5 format")
+      // Handle version 5 format (original structure)
+      for (const item of reportItems) {
+        const baseData = extractItemData(item)
+        const attributeValues = pickAttributes(attributes, baseData, item)
+        
+        // Group all metric data by metric type across all Performance periods
+        const metricData = {}
+        
+        // First pass: collect all metrics and their monthly values
+        for (const performance of item.Performance || []) {
+          const period = performance.Period
+          if (!period) continue
+          
+          // Convert period to month key
+          const monthKey = formatMonthKey(new Date(period.Begin_Date))
+          
+          for (const instance of performance.Instance || []) {
+            const metricType = instance.Metric_Type
+            const count = parseInt(instance.Count) || 0
+            
+            if (!metricData[metricType]) {
+              metricData[metricType] = {
+                monthlyValues: {}
+              }
+            }
+            
+            // Added rather than overwritten, in case a month is listed twice
+            const monthlyValues = metricData[metricType].monthlyValues
+            monthlyValues[monthKey] = (monthlyValues[monthKey] || 0) + count
+          }
+        }
+        
+        // Second pass: create a row for each metric type with all monthly data
+        for (const [metricType, data] of Object.entries(metricData)) {
+          const entry = {
+            Institution_Name: institutionName,
+            Institution_ID: institutionId,
+            ...baseData,
+            ...attributeValues,
+            Metric_Type: metricType,
+            Reporting_Period_Total: 0
+          }
+
+          // Add monthly data for all months in the period
+          fillMonths(entry, monthColumns, data.monthlyValues)
+
+          results.push(entry)
+        }
+      }
+    }
+    // Items came back, so exceptions at most mean the report is partial
+    if (exceptions.length > 0) {
+      const description = describeExceptions(exceptions)
+      results.forEach(entry => { entry.Exceptions = description })
+    }
+    const hasWarning = exceptions.some(e => e.severity !== 'informational')
+    return { entries: results, status: hasWarning ? 'warning' : 'success', exceptions }
+  } else {
+    // No data found
+    if (exceptions.length > 0) {
+      return exceptionOutcome(exceptions, requestData, account, institutionName, institutionId)
+    }
+    return { entries: [createNoDataEntry(requestData, institutionName, institutionId)], status: 'success', exceptions }
+  }
+}
+
+// Sets every month of the period on an entry, 0 where there was no usage, and
+// totals them. Usage outside the period, which some servers return, is left out.
+function fillMonths(entry, monthColumns, monthlyValues) {
+  let total = 0
+  for (const month of monthColumns) {
+    entry[month] = monthlyValues[month] || 0
+    total += entry[month]
+  }
+  entry.Reporting_Period_Total = total
+}
+
+// COUNTER compliance. Every report is checked against the COUNTER 5 and 5.1
+// rules the output depends on: required header fields, identifier formats,
+// usage months inside the reporting period and metric types the report allows.
+// Issues are 'error' where usage is wrong or left out, 'warning' otherwise.
+// Only the first MAX_VALIDATION_ISSUES per account are kept.
+const MAX_VALIDATION_ISSUES = 200
+
+const REQUIRED_HEADER_FIELDS = {
+  '5': ['Created', 'Created_By', 'Report_ID', 'Release', 'Report_Name', 'Institution_Name'],
+  '5.1': ['Created', 'Created_By', 'Report_ID', 'Release', 'Report_Name', 'Institution_Name', 'Institution_ID', 'Report_Filters', 'Registry_Record']
+}
+
+const IDENTIFIER_FORMATS = {
+  DOI: /^10\.\d{4,9}\/\S+$/,
+  Print_ISSN: /^\d{4}-\d{3}[\dX]$/,
+  Online_ISSN: /^\d{4}-\d{3}[\dX]$/,
+  // COUNTER wants ISBN-13 with hyphens
+  ISBN: /^97[89]-(?=(?:\d-?){10}$)\d+-\d+-\d+-\d$/
+}
+
+function validateReport(report, requestData) {
+  const issues = []
+  const seen = new Set()
+  let total = 0
+  // The same problem in every month of an item is reported once
+  const add = (severity, rule, location, message) => {
+    if (seen.has(`${location}|${message}`)) return
+    seen.add(`${location}|${message}`)
+    total++
+    if (issues.length < MAX_VALIDATION_ISSUES) issues.push({ severity, rule, location, message })
+  }
+
+  const version = requestData.format || '5'
+  const header = report.Report_Header || {}
+  for (const field of REQUIRED_HEADER_FIELDS[version] || []) {
+    const value = header[field]
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      add('warning', 'header', `Report_Header.${field}`, `${field} is required in COUNTER ${version}`)
+    }
+  }
+  if (header.Release && String(header.Release) !== version) {
+    add('warning', 'header', 'Report_Header.Release', `Release is ${header.Release}, but COUNTER ${version} was requested`)
+  }
+  if (header.Report_ID && String(header.Report_ID).toLowerCase() !== requestData.report_type.toLowerCase()) {
+    add('warning', 'header', 'Report_Header.Report_ID', `Report_ID is ${header.Report_ID}, but ${requestData.report_type.toUpperCase()} was requested`)
+  }
+  if (header.Created && Number.isNaN(Date.parse(header.Created))) {
+    add('warning', 'header', 'Report_Header.Created', `${header.Created} is not a date and time`)
+  }
+
+  const metrics = getReportMetrics(requestData)
+  const months = new Set(getReportMonths(requestData.begin_date, requestData.end_date))
+  const checkUsage = (itemLocation, location, metric, month, count) => {
+    if (!metrics.includes(metric)) {
+      add('error', 'metric', itemLocation, `${metric} is not a metric type of ${requestData.report_type.toUpperCase()}`)
+    }
+    if (!months.has(month)) {
+      add('error', 'period', location, `${month || 'A missing month'} is outside the reporting period`)
+    }
+    if (!Number.isInteger(Number(count)) || Number(count) < 0 || count === null || count === '') {
+      add('error', 'count', location, `${count} is not a count`)
+    }
+  }
+
+  flattenReportItems(report.Report_Items || []).forEach((item, i) => {
+    const location = `Report_Items[${i}]`
+    const name = item.Title || item.Item || item.Database || item.Platform
+    const itemLocation = name ? `${location} (${name})` : location
+    if (!item.Platform) {
+      add('warning', 'item', itemLocation, 'Platform is required')
+    }
+
+    const ids = extractIdentifiers(item.Item_ID)
+    for (const [type, format] of Object.entries(IDENTIFIER_FORMATS)) {
+      const value = ids[type.toLowerCase()]
+      if (value && !format.test(value)) {
+        add('warning', 'identifier', itemLocation, `${value} is not a valid ${type}`)
+      }
+    }
+
+    // COUNTER 5 lists usage as Performance periods, 5.1 as months under each metric
+    if (Array.isArray(item.Performance)) {
+      if (version === '5.1') {
+        add('warning', 'layout', itemLocation, 'Usage is in the COUNTER 5 layout')
+      }
+      item.Performance.forEach((performance, j) => {
+        const period = performance.Period || {}
+        const periodLocation = `${itemLocation} Performance[${j}]`
+        const month = /^\d{4}-\d{2}-01$/.test(period.Begin_Date) ? period.Begin_Date.slice(0, 7) : null
+        if (!month || period.End_Date !== getMonthEnd(month)) {
+          add('error', 'period', periodLocation, `${period.Begin_Date || '?'} to ${period.End_Date || '?'} is not a calendar month`)
+          return
+        }
+        for (const instance of performance.Instance || []) {
+          checkUsage(itemLocation, periodLocation, instance.Metric_Type, month, instance.Count)
+        }
+      })
+    } else if (Array.isArray(item.Attribute_Performance)) {
+      if (version === '5') {
+        add('warning', 'layout', itemLocation, 'Usage is in the COUNTER 5.1 layout')
+      }
+      item.Attribute_Performance.forEach((attrPerf, j) => {
+        for (const [metric, counts] of Object.entries(attrPerf.Performance || {})) {
+          for (const [month, count] of Object.entries(counts || {})) {
+            checkUsage(itemLocation, `${itemLocation} Attribute_Performance[${j}]`, metric, /^\d{4}-\d{2}$/.test(month) ? month : null, count)
+          }
+        }
+      })
+    } else {
+      add('error', 'item', itemLocation, 'The item has no usage and was left out')
+    }
+  })
+
+  if (total > issues.length) {
+    issues.push({ severity: 'warning', rule: 'limit', location: '', message: `${total - issues.length} more issues not listed` })
+  }
+  return issues
+}
+
+// The compliance report: each account's issues, or a single row saying it
+// complied or wasn't checked
+function formatComplianceReport(outcomes) {
+  const csvRows = [toCsvRow(['Customer_ID', 'Institution_Name', 'Release', 'Result', 'Severity', 'Rule', 'Location', 'Message'])]
+  for (const outcome of outcomes) {
+    const header = outcome.report?.Report_Header || {}
+    const account = [outcome.account.customer_id, getOutcomeInstitution(outcome), header.Release || '']
+    if (!outcome.validation) {
+      csvRows.push(toCsvRow([...account, 'Not checked', '', '', '', 'No report was returned']))
+      continue
+    }
+    if (outcome.validation.length === 0) {
+      csvRows.push(toCsvRow([...account, 'Compliant', '', '', '', '']))
+      continue
+    }
+    const result = outcome.validation.some(issue => issue.severity === 'error') ? 'Errors' : 'Warnings'
+    for (const issue of outcome.validation) {
+      const location = issue.period === 'previous' ? `Comparison period: ${issue.location}` : issue.location
+      csvRows.push(toCsvRow([...account, result, issue.severity, issue.rule, location, issue.message]))
+    }
+  }
+  return csvRows.join('\n')
+}
+
+// COUNTER 5.1 IR nests items under their parent in an `Items` array. Flatten
+// them so every report is a flat list, keeping the parent's platform and
+// publisher on each item and the parent itself as Item_Parent, where COUNTER 5
+// puts it.
+function flattenReportItems(reportItems) {
+  return reportItems.flatMap(item => {
+    if (!Array.isArray(item.Items)) return [item]
+    const { Items, ...parent } = item
+    return Items.map(child => ({
+      Platform: parent.Platform,
+      Publisher: parent.Publisher,
+      Publisher_ID: parent.Publisher_ID,
+      Item_Parent: parent.Title ? parent : undefined,
+      ...child
+    }))
+  })
+}
+
+// Picks each attribute from the first source that has a value for it
+function pickAttributes(attributes, ...sources) {
+  const values = {}
+  for (const attribute of attributes) {
+    const source = sources.find(s => s[attribute] !== undefined && s[attribute] !== '')
+    values[attribute] = source ? String(source[attribute]) : ''
+    // Some COUNTER 5 servers spell YOP out
+    if (attribute === 'YOP' && !values.YOP) {
+      values.YOP = sources.find(s => s.Year_of_Publication)?.Year_of_Publication || ''
+    }
+  }
+  return values
+}
+
+function getInstitutionId(jsonData) {
+  const institutionIds = jsonData.Report_Header?.Institution_ID
+  
+  if (!institutionIds) return ''
+  
+  if (Array.isArray(institutionIds)) {
+    // Version 5 format - array of objects
+    const proprietaryId = institutionIds.find(id => id.Type === 'Proprietary')
+    return proprietaryId?.Value || ''
+  } else {
+    // Version 5.1 format - object with properties
+    return institutionIds.Proprietary?.[0] || institutionIds.Proprietary || ''
+  }
+}
+
+function extractItemData(item) {
+  const ids = extractIdentifiers(item.Item_ID)
+  
+  // Extract publisher ID
+  const publisherIds = item.Publisher_ID || {}
+  let publisher_id = ''
+  
+  if (Array.isArray(publisherIds)) {
+    const proprietaryPub = publisherIds.find(p => p.Type === 'Proprietary')
+    publisher_id = proprietaryPub?.Value || ''
+  } else {
+    publisher_id = publisherIds.Proprietary?.[0] || publisherIds.Proprietary || ''
+  }
+
+  // IR_A1 describes each article's parent journal: COUNTER 5 as Item_Parent,
+  // 5.1 as the Report_Item the article was nested in (see flattenReportItems)
+  const parent = item.Item_Parent || {}
+  const parentIds = extractIdentifiers(parent.Item_ID)
+  
+  // Keys are output column names so the result can be spread into an entry
+  return {
+    Title: item.Title || item.Item || '',
+    Database: item.Database || '',
+    Publisher: item.Publisher || '',
+    Publisher_ID: publisher_id,
+    Platform: item.Platform || '',
+    DOI: ids.doi,
+    Proprietary_ID: ids.proprietary_id,
+    ISBN: ids.isbn,
+    Print_ISSN: ids.print_issn,
+    Online_ISSN: ids.online_issn,
+    URI: ids.uri,
+    ...extractItemAttributes(item),
+    Parent_Title: parent.Item_Name || parent.Title || '',
+    Parent_Authors: extractItemAttributes(parent).Authors,
+    Parent_Article_Version: extractItemAttributes(parent).Article_Version,
+    Parent_DOI: parentIds.doi,
+    Parent_Proprietary_ID: parentIds.proprietary_id,
+    Parent_Print_ISSN: parentIds.print_issn,
+    Parent_Online_ISSN: parentIds.online_issn,
+    Parent_URI: parentIds.uri
+  }
+}
+
+function extractIdentifiers(itemIds = {}) {
+  // Handle both array and object formats for Item_ID
+  let doi = '', proprietary_id = '', isbn = '', print_issn = '', online_issn = '', uri = ''
+  
+  if (Array.isArray(itemIds)) {
+    // Version 5 format - array of objects
+    for (const id of itemIds) {
+      switch (id.Type) {
+        case 'DOI': doi = id.Value || ''; break
+        case 'Proprietary': proprietary_id = id.Value || ''; break
+        case 'ISBN': isbn = id.Value || ''; break
+        case 'Print_ISSN': print_issn = id.Value || ''; break
+        case 'Online_ISSN': online_issn = id.Value || ''; break
+        case 'URI': uri = id.Value || ''; break
+      }
+    }
+  } else {
+    // Version 5.1 format - object with properties
+    doi = itemIds.DOI || ''
+    proprietary_id = itemIds.Proprietary || ''
+    isbn = itemIds.ISBN || ''
+    print_issn = itemIds.Print_ISSN || ''
+    online_issn = itemIds.Online_ISSN || ''
+    uri = itemIds.URI || ''
+  }
+
+  return { doi, proprietary_id, isbn, print_issn, online_issn, uri }
+}
+
+// Item-level IR attributes: COUNTER 5 lists them as typed arrays, 5.1 as plain properties
+function extractItemAttributes(item) {
+  let authors = '', publication_date = '', article_version = ''
+  if (Array.isArray(item.Item_Contributors)) {
+    authors = item.Item_Contributors.filter(c => c.Type === 'Author').map(c => c.Name).join('; ')
+  } else if (Array.isArray(item.Authors)) {
+    authors = item.Authors.map(a => a.Name).join('; ')
+  }
+  if (Array.isArray(item.Item_Dates)) {
+    publication_date = item.Item_Dates.find(d => d.Type === 'Publication_Date')?.Value || ''
+  } else {
+    publication_date = item.Publication_Date || ''
+  }
+  if (Array.isArray(item.Item_Attributes)) {
+    article_version = item.Item_Attributes.find(a => a.Type === 'Article_Version')?.Value || ''
+  } else {
+    article_version = item.Article_Version || ''
+  }
+  return { Authors: authors, Publication_Date: publication_date, Article_Version: article_version }
+}
+
+function convertApiMonthToDisplayMonth(apiMonth) {
   // Convert "2025-01" to "Jan-25"
   const [year, monthNum] = apiMonth.split('-')
   const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
@@ -482,403 +2984,1222 @@ function convertApiMonthToDisplayMonth(apiMonth) {
   return `${monthName}-${shortYear}`
 }
 
-function formatMonthKey(date) {
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
-  const month = months[date.getMonth()]
-  const year = date.getFullYear().toString().slice(-2)
-  return `${month}-${year}`
+function formatMonthKey(date) {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+  const month = months[date.getMonth()]
+  const year = date.getFullYear().toString().slice(-2)
+  return `${month}-${year}`
+}
+
+function getMonthColumns(beginDate, endDate) {
+  const months = []
+  const start = new Date(beginDate)
+  const end = new Date(endDate)
+  
+  const current = new Date(start.getFullYear(), start.getMonth(), 1)
+  
+  while (current <= end) {
+    months.push(formatMonthKey(current))
+    current.setMonth(current.getMonth() + 1)
+  }
+  
+  return months
+}
+
+// An entry with every output column present and blank
+function createEmptyEntry(requestData) {
+  const entry = {}
+  for (const column of getReportColumns(requestData)) {
+    entry[column === 'Item' ? 'Title' : column] = ''
+  }
+  entry.Reporting_Period_Total = 0
+
+  getMonthColumns(requestData.begin_date, requestData.end_date).forEach(month => {
+    entry[month] = 0
+  })
+
+  return entry
+}
+
+function createNoDataEntry(requestData, institutionName, institutionId) {
+  const noDataEntry = createEmptyEntry(requestData)
+  noDataEntry.Institution_Name = institutionName || 'No Data'
+  noDataEntry.Institution_ID = institutionId || ''
+  noDataEntry[getLabelField(requestData)] = 'No usage data for this period'
+  noDataEntry.Metric_Type = 'No Data'
+  return noDataEntry
+}
+
+function createErrorEntry(error, requestData, account) {
+  const errorEntry = createEmptyEntry(requestData)
+  errorEntry.Institution_Name = 'ERROR'
+  errorEntry.Institution_ID = account.customer_id
+  errorEntry[getLabelField(requestData)] = `Failed: ${error.message}`
+  errorEntry.Metric_Type = 'ERROR'
+  return errorEntry
+}
+
+function generateFilename(requestData) {
+  // Format: bulk_counter_{version}-{report-type}_{date}
+  const version = requestData.format || '5'
+  const reportType = requestData.report_type.toLowerCase()
+  const date = new Date().toISOString().split('T')[0].replace(/-/g, '')
+  
+  return `bulk_counter_${version}-${reportType}_${date}`
+}
+
+// An account's file, after the institution and customer ID:
+// bulk_counter_{version}-{report-type}_{date}_{institution}_{customer_id}.csv
+function generateAccountFilename(outcome, requestData) {
+  const safe = value => String(value || '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+  const parts = [generateFilename(requestData), safe(getOutcomeInstitution(outcome)), safe(outcome.account.customer_id)]
+  return parts.filter(Boolean).join('_') + '.csv'
+}
+
+// `name`, or with _2, _3... before the extension once it's in `used`, so two
+// accounts never share a ZIP entry (the same customer_id under two
+// requestors, say). Adds the name it returns to `used`.
+function uniqueFilename(name, used) {
+  const [, base, extension] = /^(.*?)(\.[^.]*)?$/.exec(name)
+  let unique = name
+  for (let n = 2; used.has(unique); n++) {
+    unique = `${base}_${n}${extension || ''}`
+  }
+  used.add(unique)
+  return unique
+}
+
+// The institution an account's report is for, as the provider names it, or
+// as the account registry does when the harvest failed
+function getOutcomeInstitution(outcome) {
+  const entry = outcome.entries.find(e => e.Metric_Type !== 'ERROR')
+  return entry?.Institution_Name || outcome.account.institution_name || ''
+}
+
+// The csv-zip output: a CSV per account (its pivot when `formatted`) and an
+// errors manifest listing the accounts that failed or reported exceptions.
+// Failed accounts get no file of their own.
+function buildAccountFiles(outcomes, requestData, costs = null) {
+  const files = []
+  const manifest = [toCsvRow(['Customer_ID', 'Institution_Name', 'Status', 'File', 'Error', 'Exceptions'])]
+  const used = new Set([`${generateFilename(requestData)}_errors.csv`])
+
+  for (const outcome of outcomes) {
+    const name = uniqueFilename(generateAccountFilename(outcome, requestData), used)
+    const failed = outcome.status === 'failed'
+    if (!failed) {
+      files.push({
+        name,
+        content: requestData.formatted
+          ? formatAsPivot(outcome.entries, requestData, costs)
+          : convertToCSV(outcome.entries, requestData)
+      })
+    }
+    if (failed || outcome.exceptions.length > 0) {
+      const error = failed ? outcome.entries.find(e => e.Metric_Type === 'ERROR')?.[getLabelField(requestData)] : ''
+      manifest.push(toCsvRow([
+        outcome.account.customer_id,
+        getOutcomeInstitution(outcome),
+        outcome.status,
+        failed ? '' : name,
+        error || '',
+        describeExceptions(outcome.exceptions)
+      ]))
+    }
+  }
+
+  files.push({ name: `${generateFilename(requestData)}_errors.csv`, content: manifest.join('\n') })
+  return files
+}
+
+function calculateETA(startTime, processed, total) {
+  if (processed === 0) return 'Calculating...'
+  const elapsed = Date.now() - startTime
+  const averageTime = elapsed / processed
+  const remaining = total - processed
+  const eta = remaining * averageTime
+  
+  // Convert to human readable format
+  if (eta < 60000) {
+    return `${Math.round(eta / 1000)} seconds`
+  } else {
+    return `${Math.round(eta / 60000)} minutes`
+  }
+}
+
+// Preferred order of values within a pivot level. Values not listed here
+// follow the listed ones alphabetically, so nothing the server sends is dropped.
+const PIVOT_VALUE_ORDER = {
+  Access_Type: ['Controlled', 'Free_To_Read', 'Open', 'OA_Gold', 'Other_Free_To_Read'],
+  Access_Method: ['Regular', 'TDM'],
+  Metric_Type: [
+    'Total_Item_Investigations', 'Total_Item_Requests', 'Unique_Item_Investigations', 'Unique_Item_Requests',
+    'Unique_Title_Investigations', 'Unique_Title_Requests',
+    'Searches_Regular', 'Searches_Automated', 'Searches_Federated', 'Searches_Platform',
+    'No_License', 'Limit_Exceeded'
+  ]
+}
+
+function comparePivotValues(dimension, a, b) {
+  if (a === b) return 0
+  if (a === 'Unknown') return 1
+  if (b === 'Unknown') return -1
+
+  // YOP values (most recent first)
+  if (dimension === 'YOP') {
+    return (parseInt(b) || 0) - (parseInt(a) || 0)
+  }
+
+  const order = PIVOT_VALUE_ORDER[dimension] || []
+  const [indexA, indexB] = [order.indexOf(a), order.indexOf(b)]
+  if (indexA !== -1 || indexB !== -1) {
+    if (indexA === -1) return 1
+    if (indexB === -1) return -1
+    return indexA - indexB
+  }
+  return a.localeCompare(b)
+}
+
+// Groups rows by each dimension in turn and emits a subtotal row per group,
+// depth first, so every group is followed by its children. `summarize` turns a
+// group's rows into the values shown for it.
+function buildPivotLevel(rows, dimensions, level, summarize, pivotRows) {
+  const [dimension, ...rest] = dimensions
+  const groups = {}
+  for (const row of rows) {
+    const value = String(row[dimension] || '') || 'Unknown'
+    if (!groups[value]) {
+      groups[value] = []
+    }
+    groups[value].push(row)
+  }
+
+  const values = Object.keys(groups).sort((a, b) => comparePivotValues(dimension, a, b))
+  for (const value of values) {
+    const groupRows = groups[value]
+    pivotRows.push({ label: value, level, dimension, ...summarize(groupRows) })
+    if (rest.length > 0) {
+      buildPivotLevel(groupRows, rest, level + 1, summarize, pivotRows)
+    }
+  }
+}
+
+// Pivot layout. `pivot_rows` in the payload lists the row hierarchy as report
+// columns, outermost first; without it institutions come first, then the
+// report's own `pivot` levels. Metric_Type is always the last level when not
+// listed, since different metrics can't be added together. `pivot_columns`
+// sums the months into 'quarter' or 'year' columns instead of one per 'month'.
+const PIVOT_PERIODS = ['month', 'quarter', 'year']
+
+function getPivotDimensions(requestData) {
+  if (requestData.pivot_rows?.length > 0) {
+    // IR's "Item" column is the internal Title field
+    const dimensions = requestData.pivot_rows.map(column => column === 'Item' ? 'Title' : column)
+    return dimensions.includes('Metric_Type') ? dimensions : [...dimensions, 'Metric_Type']
+  }
+  return ['Institution_Name', ...getReportDefinition(requestData).pivot]
+}
+
+// The pivot's value columns as { label, months }, in date order: a column per
+// month, or per calendar quarter or year with the months of it in the period
+function getPivotPeriods(requestData) {
+  const monthColumns = getMonthColumns(requestData.begin_date, requestData.end_date)
+  const months = getReportMonths(requestData.begin_date, requestData.end_date)
+  const periodOf = {
+    month: index => monthColumns[index],
+    quarter: index => `Q${Math.ceil(parseInt(months[index].slice(5)) / 3)}-${months[index].slice(2, 4)}`,
+    year: index => months[index].slice(0, 4)
+  }[requestData.pivot_columns || 'month']
+
+  const periods = []
+  monthColumns.forEach((column, index) => {
+    const label = periodOf(index)
+    if (periods[periods.length - 1]?.label !== label) {
+      periods.push({ label, months: [] })
+    }
+    periods[periods.length - 1].months.push(column)
+  })
+  return periods
+}
+
+function validatePivotOptions(requestData, fail) {
+  if (requestData.pivot_columns !== undefined && !PIVOT_PERIODS.includes(requestData.pivot_columns)) {
+    fail('pivot_columns', `Pivot columns can be ${PIVOT_PERIODS.join(', ')}`)
+  }
+  if (requestData.pivot_rows === undefined || requestData.pivot_rows === null) return
+  if (!Array.isArray(requestData.pivot_rows)) {
+    fail('pivot_rows', 'Must be a list')
+    return
+  }
+  // Title and Item name the same field, so either works for any report
+  const asField = column => column === 'Item' ? 'Title' : column
+  const columns = getReportColumns(requestData).filter(c => c !== 'Reporting_Period_Total').map(asField)
+  for (const column of requestData.pivot_rows) {
+    if (!columns.includes(asField(column))) {
+      fail('pivot_rows', `${column} is not a column of ${requestData.report_type.toUpperCase()}`)
+    }
+  }
+  if (new Set(requestData.pivot_rows.map(asField)).size !== requestData.pivot_rows.length) {
+    fail('pivot_rows', 'A column can only be used once')
+  }
+}
+
+// The pivot as rows of { label, level, total, periods }, plus the error and
+// no-data rows left out of it
+function buildPivot(data, requestData) {
+  const periods = getPivotPeriods(requestData)
+  const periodColumns = periods.map(p => p.label)
+
+  // Filter out error rows for pivot formatting
+  const validData = data.filter(r => r.Metric_Type !== 'ERROR' && r.Metric_Type !== 'No Data')
+  const errorData = data.filter(r => r.Metric_Type === 'ERROR' || r.Metric_Type === 'No Data')
+
+  // Institutions first (alphabetically), then the report's own layout,
+  // e.g. Access_Type > Metric_Type for TR_J3 or Database > Metric_Type for DR_D1,
+  // unless the request chose its own pivot_rows
+  const summarize = rows => ({
+    total: rows.reduce((sum, r) => sum + (parseInt(r.Reporting_Period_Total) || 0), 0),
+    periods: periods.map(p => rows.reduce((sum, r) => sum + p.months.reduce((months, m) => months + (parseInt(r[m]) || 0), 0), 0))
+  })
+  const pivotRows = []
+  buildInstitutionPivot(validData, requestData, summarize, pivotRows)
+
+  // Add Grand Total row
+  pivotRows.push({ label: 'Grand Total', level: 0, ...summarize(validData) })
+
+  return { periodColumns, pivotRows, errorData }
+}
+
+// `costs`, when given, adds each institution's cost per use to its row
+function formatAsPivot(data, requestData, costs = null) {
+  const { periodColumns, pivotRows, errorData } = buildPivot(data, requestData)
+
+  // Convert to CSV
+  const headers = ['', 'Reporting_Period_Total', ...periodColumns]
+  if (costs) headers.push(...COST_COLUMNS)
+  const csvRows = [headers.map(h => `"${h}"`).join(',')]
+  const institutionsFirst = getPivotDimensions(requestData)[0] === 'Institution_Name'
+
+  for (const row of pivotRows) {
+    // Add indentation based on level
+    const indent = '  '.repeat(row.level)
+    const values = [
+      `"${indent}${row.label.replace(/"/g, '""')}"`,
+      row.total,
+      ...row.periods
+    ]
+    if (costs) {
+      // An institution's cost only holds for the whole institution, not a
+      // group nested under another dimension
+      const cost = row.dimension === 'Institution_Name' && institutionsFirst && costs.find(c => c.institution === row.label)
+      values.push(...(cost ? [cost.cost, cost.cpu_unique_item_requests, cost.cpu_total_item_requests] : ['', '', '']))
+    }
+    csvRows.push(values.join(','))
+  }
+
+  csvRows.push(...formatErrorSection(errorData, requestData))
+  return csvRows.join('\n')
+}
+
+// The error rows listed after a pivot, if any
+function formatErrorSection(errorData, requestData) {
+  if (errorData.length === 0) return []
+
+  const csvRows = ['', '"--- Errors ---"'] // blank row first
+  for (const row of errorData) {
+    const values = [row.Institution_ID, row[getLabelField(requestData)]]
+    if (row.Exceptions) values.push(row.Exceptions)
+    csvRows.push(values.map(v => `"${String(v).replace(/"/g, '""')}"`).join(','))
+  }
+  return csvRows
+}
+
+// Top titles across every harvested institution. Rows are grouped by
+// `rank_by` - a title's DOI, ISSN or name, falling back to the name when a row
+// lacks the identifier - and ranked by Total_Item_Requests, keeping the first
+// `top_n`. Works for the title and item reports that count requests; IR_A1
+// articles ranked by ISSN are counted towards their journal.
+const RANKED_KINDS = ['title', 'journal', 'item', 'article']
+const DEFAULT_TOP_N = 100
+const RANK_KEYS = {
+  doi: row => row.DOI,
+  issn: row => row.Online_ISSN || row.Print_ISSN || row.Parent_Online_ISSN || row.Parent_Print_ISSN,
+  title: () => null
+}
+
+function buildRanking(data, requestData) {
+  const definition = getReportDefinition(requestData)
+  const rankBy = requestData.rank_by || 'title'
+  const uniqueMetrics = ['Unique_Item_Requests', 'Unique_Title_Requests'].filter(m => definition.metrics.includes(m))
+  const metrics = ['Total_Item_Requests', ...uniqueMetrics]
+
+  const titles = new Map()
+  for (const row of data) {
+    if (!metrics.includes(row.Metric_Type)) continue
+    const identifier = RANK_KEYS[rankBy](row)
+    const key = identifier ? `${rankBy}:${identifier.toLowerCase()}` : `title:${row.Title.trim().toLowerCase()}`
+    if (!titles.has(key)) {
+      const journal = rankBy === 'issn' && identifier && !row.Online_ISSN && !row.Print_ISSN
+      titles.set(key, {
+        Title: journal ? row.Parent_Title : row.Title,
+        Publisher: row.Publisher,
+        Platform: row.Platform,
+        DOI: (journal ? row.Parent_DOI : row.DOI) || '',
+        Print_ISSN: (journal ? row.Parent_Print_ISSN : row.Print_ISSN) || '',
+        Online_ISSN: (journal ? row.Parent_Online_ISSN : row.Online_ISSN) || '',
+        ...Object.fromEntries(metrics.map(m => [m, 0])),
+        institutions: new Set()
+      })
+    }
+    const title = titles.get(key)
+    const total = parseInt(row.Reporting_Period_Total) || 0
+    title[row.Metric_Type] += total
+    // Only institutions that requested the title count towards it
+    if (row.Metric_Type === 'Total_Item_Requests' && total > 0) {
+      title.institutions.add(`${row.Institution_Name}|${row.Institution_ID}`)
+    }
+  }
+
+  const allRequests = [...titles.values()].reduce((sum, t) => sum + t.Total_Item_Requests, 0)
+  const topN = parseInt(requestData.top_n) || DEFAULT_TOP_N
+  const ranked = [...titles.values()]
+    .sort((a, b) => b.Total_Item_Requests - a.Total_Item_Requests ||
+      uniqueMetrics.reduce((order, m) => order || b[m] - a[m], 0) ||
+      a.Title.localeCompare(b.Title))
+    .slice(0, topN)
+    .map((title, i) => ({
+      ...title,
+      Rank: i + 1,
+      Institutions: title.institutions.size,
+      Percent_Of_Requests: allRequests ? Math.round(title.Total_Item_Requests / allRequests * 10000) / 100 : 0
+    }))
+  return { metrics, ranked }
+}
+
+function formatRanking(data, requestData) {
+  const { metrics, ranked } = buildRanking(data, requestData)
+  // "Title" or "Item", as in the report's own columns
+  const nameColumn = ITEM_COLUMNS[getReportDefinition(requestData).kind][0]
+  const columns = ['Rank', nameColumn, 'Publisher', 'Platform', 'DOI', 'Print_ISSN', 'Online_ISSN', ...metrics, 'Institutions', 'Percent_Of_Requests']
+  const csvRows = [toCsvRow(columns)]
+  for (const title of ranked) {
+    csvRows.push(toCsvRow(columns.map(c => getFieldValue(title, c))))
+  }
+  return csvRows.join('\n')
 }
 
-function getMonthColumns(beginDate, endDate) {
-  const months = []
-  const start = new Date(beginDate)
-  const end = new Date(endDate)
-  
-  const current = new Date(start.getFullYear(), start.getMonth(), 1)
-  
-  while (current <= end) {
-    months.push(formatMonthKey(current))
-    current.setMonth(current.getMonth() + 1)
+// Year-over-year comparisons. `compare` in the payload names the earlier
+// period: 'previous_year' for the same months a year before, or its own
+// begin_date and end_date. Each account is harvested for both periods and its
+// rows are lined up by institution, item, attributes and metric.
+
+function getComparisonDates(requestData) {
+  if (requestData.compare !== 'previous_year') {
+    return { begin_date: requestData.compare.begin_date, end_date: requestData.compare.end_date }
+  }
+  return {
+    begin_date: shiftReportDate(requestData.begin_date, -1),
+    end_date: shiftReportDate(requestData.end_date, -1)
   }
-  
-  return months
 }
 
-function createErrorEntry(error, requestData, account) {
-  const monthColumns = getMonthColumns(requestData.begin_date, requestData.end_date)
-  
-  const errorEntry = {
-    Institution_Name: 'ERROR',
-    Institution_ID: account.customer_id,
-    Title: `Failed: ${error.message}`,
-    Publisher: '',
-    Publisher_ID: '',
-    Platform: '',
-    DOI: '',
-    Proprietary_ID: '',
-    Print_ISSN: '',
-    Online_ISSN: '',
-    URI: '',
-    Metric_Type: 'ERROR',
-    Reporting_Period_Total: 0
+// Moves a yyyy-mm or yyyy-mm-dd date by whole years. A month-end date stays at
+// the month's end, so 2024-02-29 becomes 2023-02-28.
+function shiftReportDate(date, years) {
+  const [year, month, day] = date.split('-')
+  const shifted = `${parseInt(year) + years}-${month}`
+  if (!day) return shifted
+  const daysInMonth = new Date(Date.UTC(parseInt(year) + years, parseInt(month), 0)).getUTCDate()
+  return `${shifted}-${String(Math.min(parseInt(day), daysInMonth)).padStart(2, '0')}`
+}
+
+// An account's outcome for both periods: the worse of the two statuses and
+// both sets of exceptions, with the earlier period's outcome as `previous`
+function combineComparisonOutcomes(current, previous) {
+  const rank = { success: 0, warning: 1, failed: 2 }
+  return {
+    ...current,
+    status: rank[previous.status] > rank[current.status] ? previous.status : current.status,
+    exceptions: [...current.exceptions, ...previous.exceptions.map(e => ({ ...e, period: 'previous' }))],
+    validation: current.validation && [...current.validation, ...(previous.validation || []).map(issue => ({ ...issue, period: 'previous' }))],
+    previous
   }
-  
-  // Only add Access_Type for TR_J3
-  if (requestData.report_type.toLowerCase() === 'tr_j3') {
-    errorEntry.Access_Type = ''
+}
+
+// A period as its first and last month, e.g. "Jan-24 to Dec-24"
+function getPeriodLabel(dates) {
+  const months = getMonthColumns(dates.begin_date, dates.end_date)
+  return months.length > 1 ? `${months[0]} to ${months[months.length - 1]}` : months[0]
+}
+
+function getComparisonChange(current, previous) {
+  const change = current - previous
+  return {
+    change,
+    // Blank when there was no earlier usage to compare against
+    percent: previous ? Math.round(change / previous * 1000) / 10 : ''
   }
-  
-  // Add YOP for TR_J4
-  if (requestData.report_type.toLowerCase() === 'tr_j4') {
-    errorEntry.YOP = ''
+}
+
+// Lines up each account's rows for the two periods. Returns the comparison
+// rows, each with Current_Total and Previous_Total, and the error and no-data
+// rows from either period (the earlier period's labelled as such).
+function buildComparison(outcomes, requestData) {
+  const previousLabel = getPeriodLabel(getComparisonDates(requestData))
+  const labelField = getLabelField(requestData)
+  const keyColumns = getReportColumns(requestData)
+    .filter(c => !['Institution_Name', 'Institution_ID', 'Reporting_Period_Total'].includes(c))
+    .map(c => c === 'Item' ? 'Title' : c)
+
+  const rows = []
+  const errorData = []
+  for (const outcome of outcomes) {
+    const aligned = new Map()
+    const add = (entry, totalField) => {
+      if (entry.Metric_Type === 'ERROR' || entry.Metric_Type === 'No Data') {
+        errorData.push(totalField === 'Previous_Total'
+          ? { ...entry, [labelField]: `${previousLabel}: ${entry[labelField]}` }
+          : entry)
+        return
+      }
+      const key = JSON.stringify(keyColumns.map(c => entry[c]))
+      if (!aligned.has(key)) {
+        const row = { Institution_Name: entry.Institution_Name, Institution_ID: entry.Institution_ID, Current_Total: 0, Previous_Total: 0 }
+        for (const column of keyColumns) row[column] = entry[column]
+        aligned.set(key, row)
+      }
+      aligned.get(key)[totalField] += parseInt(entry.Reporting_Period_Total) || 0
+    }
+    outcome.entries.forEach(entry => add(entry, 'Current_Total'))
+    // A consortium whose members couldn't be listed has no earlier period
+    outcome.previous?.entries.forEach(entry => add(entry, 'Previous_Total'))
+    rows.push(...aligned.values())
   }
-  
-  // Add monthly columns to error entry
-  monthColumns.forEach(month => {
-    errorEntry[month] = 0
-  })
-  
-  return errorEntry
+  return { rows, errorData }
 }
 
-function generateFilename(requestData) {
-  // Format: bulk_counter_{version}-{report-type}_{date}
-  const version = requestData.format || '5'
-  const reportType = requestData.report_type.toLowerCase()
-  const date = new Date().toISOString().split('T')[0].replace(/-/g, '')
-  
-  return `bulk_counter_${version}-${reportType}_${date}`
+function formatComparisonCsv(outcomes, requestData) {
+  const { rows, errorData } = buildComparison(outcomes, requestData)
+  const columns = getReportColumns(requestData).filter(c => c !== 'Reporting_Period_Total')
+  const hasExceptions = errorData.some(row => row.Exceptions)
+  const headers = [
+    ...columns,
+    getPeriodLabel(getComparisonDates(requestData)),
+    getPeriodLabel(requestData),
+    'Change',
+    'Percent_Change',
+    ...(hasExceptions ? ['Exceptions'] : [])
+  ]
+
+  const csvRows = [toCsvRow(headers)]
+  for (const row of rows) {
+    const { change, percent } = getComparisonChange(row.Current_Total, row.Previous_Total)
+    csvRows.push(toCsvRow([...columns.map(c => getFieldValue(row, c)), row.Previous_Total, row.Current_Total, change, percent,
+      ...(hasExceptions ? [''] : [])]))
+  }
+  for (const row of errorData) {
+    csvRows.push(toCsvRow([...columns.map(c => getFieldValue(row, c)), '', '', '', '',
+      ...(hasExceptions ? [row.Exceptions || ''] : [])]))
+  }
+  return csvRows.join('\n')
 }
 
-function calculateETA(startTime, processed, total) {
-  const elapsed = Date.now() - startTime
-  const averageTime = elapsed / processed
-  const remaining = total - processed
-  const eta = remaining * averageTime
-  
-  // Convert to human readable format
-  if (eta < 60000) {
-    return `${Math.round(eta / 1000)} seconds`
-  } else {
-    return `${Math.round(eta / 60000)} minutes`
+// The pivot layout with both periods' totals and the change between them at every level
+function formatComparisonPivot(outcomes, requestData) {
+  const { rows, errorData } = buildComparison(outcomes, requestData)
+  const summarize = groupRows => {
+    const current = groupRows.reduce((sum, r) => sum + r.Current_Total, 0)
+    const previous = groupRows.reduce((sum, r) => sum + r.Previous_Total, 0)
+    return { current, previous, ...getComparisonChange(current, previous) }
+  }
+  const pivotRows = []
+  buildInstitutionPivot(rows, requestData, summarize, pivotRows)
+  pivotRows.push({ label: 'Grand Total', level: 0, ...summarize(rows) })
+
+  const headers = ['', getPeriodLabel(getComparisonDates(requestData)), getPeriodLabel(requestData), 'Change', 'Percent_Change']
+  const csvRows = [headers.map(h => `"${h}"`).join(',')]
+  for (const row of pivotRows) {
+    const indent = '  '.repeat(row.level)
+    csvRows.push([`"${indent}${row.label.replace(/"/g, '""')}"`, row.previous, row.current, row.change, row.percent].join(','))
   }
+  csvRows.push(...formatErrorSection(errorData, requestData))
+  return csvRows.join('\n')
 }
 
-function formatAsPivot(data, requestData) {
-  const monthColumns = getMonthColumns(requestData.begin_date, requestData.end_date)
-  const reportType = requestData.report_type.toLowerCase()
+// Cost per use. Each client's prices are stored per customer_id under
+// prices:<client>:<customer_id> as { customer_id, currency, subscription, titles }:
+// `subscription` is what the institution pays for the whole package and
+// `titles` maps ISSNs to what it pays for single titles. Harvests with
+// `cost_per_use` add a title's price and cost per Unique_Item_Request and
+// Total_Item_Request to its rows, and each institution's to the pivot and the summary.
+const COST_COLUMNS = ['Cost', 'CPU_Unique_Item_Requests', 'CPU_Total_Item_Requests']
 
-  // Filter out error rows for pivot formatting
-  const validData = data.filter(r => r.Title !== 'ERROR' && r.Metric_Type !== 'No Data')
-  const errorData = data.filter(r => r.Title === 'ERROR' || r.Metric_Type === 'No Data')
+async function handlePriceRequest(request, url, client, corsHeaders) {
+  const storage = getStorage()
+  const prefix = getPricePrefix(client.id)
+  const customerId = url.pathname.split('/')[2] && decodeURIComponent(url.pathname.split('/')[2])
 
-  // Group data by institution
-  const byInstitution = {}
-  for (const row of validData) {
-    const instName = row.Institution_Name
-    if (!byInstitution[instName]) {
-      byInstitution[instName] = []
+  if (!customerId) {
+    if (request.method === 'GET') {
+      const keys = await storage.list(prefix)
+      return jsonResponse((await Promise.all(keys.map(key => storage.get(key)))).filter(Boolean), corsHeaders)
+    }
+    // A CSV upload replaces the price lists of every customer_id it mentions
+    if (request.method === 'POST') {
+      const priceLists = parsePriceCsv(await request.text())
+      for (const priceList of priceLists) {
+        await storage.put(`${prefix}${priceList.customer_id}`, priceList)
+      }
+      return jsonResponse(priceLists, corsHeaders)
     }
-    byInstitution[instName].push(row)
+    return new Response('Not Found', { status: 404, headers: corsHeaders })
   }
 
-  const pivotRows = []
-  const grandTotals = { total: 0 }
-  monthColumns.forEach(m => grandTotals[m] = 0)
-
-  // Sort institutions alphabetically
-  const sortedInstitutions = Object.keys(byInstitution).sort()
-
-  for (const instName of sortedInstitutions) {
-    const instRows = byInstitution[instName]
-    const instTotals = { total: 0 }
-    monthColumns.forEach(m => instTotals[m] = 0)
-
-    // Determine grouping based on report type
-    let groupedData = {}
-
-    if (reportType === 'tr_j3') {
-      // Group by Access_Type, then Metric_Type
-      for (const row of instRows) {
-        const accessType = row.Access_Type || 'Unknown'
-        if (!groupedData[accessType]) {
-          groupedData[accessType] = {}
-        }
-        const metricType = row.Metric_Type
-        if (!groupedData[accessType][metricType]) {
-          groupedData[accessType][metricType] = { total: 0 }
-          monthColumns.forEach(m => groupedData[accessType][metricType][m] = 0)
-        }
-        groupedData[accessType][metricType].total += parseInt(row.Reporting_Period_Total) || 0
-        monthColumns.forEach(m => {
-          groupedData[accessType][metricType][m] += parseInt(row[m]) || 0
-        })
+  if (request.method === 'PUT') {
+    const priceList = buildPriceList({ ...await request.json(), customer_id: customerId })
+    await storage.put(`${prefix}${customerId}`, priceList)
+    return jsonResponse(priceList, corsHeaders)
+  }
+
+  const priceList = await storage.get(`${prefix}${customerId}`)
+  if (!priceList) {
+    return jsonResponse({ error: 'No prices for this customer_id' }, corsHeaders, 404)
+  }
+  if (request.method === 'GET') {
+    return jsonResponse(priceList, corsHeaders)
+  }
+  if (request.method === 'DELETE') {
+    await storage.delete(`${prefix}${customerId}`)
+    return jsonResponse({ customer_id: customerId, deleted: true }, corsHeaders)
+  }
+  return new Response('Not Found', { status: 404, headers: corsHeaders })
+}
+
+function getPricePrefix(owner) {
+  return `prices:${encodeURIComponent(owner)}:`
+}
+
+function buildPriceList(data) {
+  const errors = []
+  const price = (value, field) => {
+    if (value === undefined || value === null || value === '') return null
+    const number = Number(value)
+    if (!Number.isFinite(number) || number < 0) {
+      errors.push({ field, message: `${value} is not a price` })
+    }
+    return number
+  }
+
+  const titles = {}
+  for (const [issn, value] of Object.entries(data.titles || {})) {
+    const normalized = normalizeIssn(issn)
+    if (!normalized) {
+      errors.push({ field: `titles.${issn}`, message: `${issn} is not an ISSN` })
+      continue
+    }
+    titles[normalized] = price(value, `titles.${issn}`)
+  }
+  const priceList = {
+    customer_id: data.customer_id,
+    currency: String(data.currency || 'USD').toUpperCase(),
+    subscription: price(data.subscription, 'subscription'),
+    titles,
+    updated: new Date().toISOString()
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid price list')
+  }
+  return priceList
+}
+
+// Reads a price list upload with the columns customer_id, issn, price and
+// optionally currency. Rows without an ISSN give the subscription price.
+function parsePriceCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim())
+  const headers = parseCsvLine(lines.shift() || '').map(h => h.trim().toLowerCase())
+  for (const column of ['customer_id', 'issn', 'price']) {
+    if (!headers.includes(column)) {
+      throw new ValidationError([{ field: null, message: `The price list has no ${column} column` }], 'Invalid price list')
+    }
+  }
+
+  const lists = new Map()
+  const errors = []
+  lines.forEach((line, i) => {
+    const row = Object.fromEntries(parseCsvLine(line).map((value, j) => [headers[j], value.trim()]))
+    const field = `line ${i + 2}`
+    if (!row.customer_id) {
+      errors.push({ field, message: 'Missing customer_id' })
+      return
+    }
+    if (row.issn && !normalizeIssn(row.issn)) {
+      errors.push({ field, message: `${row.issn} is not an ISSN` })
+    }
+    if (!row.price || !Number.isFinite(Number(row.price)) || Number(row.price) < 0) {
+      errors.push({ field, message: `${row.price || 'A blank'} is not a price` })
+    }
+    if (!lists.has(row.customer_id)) {
+      lists.set(row.customer_id, { customer_id: row.customer_id, titles: {} })
+    }
+    const list = lists.get(row.customer_id)
+    if (row.currency) list.currency = row.currency
+    if (row.issn) {
+      list.titles[row.issn] = row.price
+    } else {
+      list.subscription = row.price
+    }
+  })
+  if (errors.length > 0) {
+    throw new ValidationError(errors, 'Invalid price list')
+  }
+  return [...lists.values()].map(buildPriceList)
+}
+
+// Splits one CSV line, honoring double-quoted values
+function parseCsvLine(line) {
+  const values = []
+  let value = '', quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        value += char
       }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      values.push(value)
+      value = ''
+    } else {
+      value += char
+    }
+  }
+  values.push(value)
+  return values
+}
 
-      // Calculate institution totals and build pivot rows
-      const accessTypeOrder = ['Controlled', 'Free_To_Read', 'Open']
-      const metricOrder = ['Total_Item_Investigations', 'Total_Item_Requests', 'Unique_Item_Investigations', 'Unique_Item_Requests']
+// ISSNs as 1234-567X, or null if it isn't one
+function normalizeIssn(issn) {
+  const digits = String(issn).toUpperCase().replace(/[^0-9X]/g, '')
+  return /^\d{7}[\dX]$/.test(digits) ? `${digits.slice(0, 4)}-${digits.slice(4)}` : null
+}
 
-      for (const accessType of accessTypeOrder) {
-        if (!groupedData[accessType]) continue
+function costPer(cost, uses) {
+  return cost !== null && uses > 0 ? Math.round(cost / uses * 100) / 100 : ''
+}
 
-        const accessTotals = { total: 0 }
-        monthColumns.forEach(m => accessTotals[m] = 0)
+// Adds the cost columns to each account's rows and returns each institution's
+// cost per use. An institution's cost is its subscription price, or failing
+// that the sum of its title prices.
+async function applyCostPerUse(outcomes, requestData) {
+  const storage = getStorage()
+  const itemColumns = ITEM_COLUMNS[getReportDefinition(requestData).kind]
+  const costs = []
 
-        for (const metricType of metricOrder) {
-          if (!groupedData[accessType][metricType]) continue
-          const metricData = groupedData[accessType][metricType]
-          accessTotals.total += metricData.total
-          monthColumns.forEach(m => accessTotals[m] += metricData[m])
-        }
+  for (const outcome of outcomes) {
+    const priceList = await storage.get(`${getPricePrefix(requestData.owner)}${outcome.account.customer_id}`)
+    const rows = outcome.entries.filter(e => e.Metric_Type !== 'ERROR' && e.Metric_Type !== 'No Data')
+    const usage = (metricRows, metric) => metricRows
+      .filter(r => r.Metric_Type === metric)
+      .reduce((sum, r) => sum + (parseInt(r.Reporting_Period_Total) || 0), 0)
 
-        instTotals.total += accessTotals.total
-        monthColumns.forEach(m => instTotals[m] += accessTotals[m])
+    // A title's price covers all of its rows, whatever their attributes
+    const titles = new Map()
+    for (const row of rows) {
+      const key = JSON.stringify(itemColumns.map(c => getFieldValue(row, c)))
+      if (!titles.has(key)) titles.set(key, [])
+      titles.get(key).push(row)
+    }
+    let titlesCost = null
+    for (const titleRows of titles.values()) {
+      const issns = [titleRows[0].Online_ISSN, titleRows[0].Print_ISSN].map(i => i && normalizeIssn(i)).filter(Boolean)
+      const issn = issns.find(i => priceList?.titles[i] !== undefined)
+      const price = issn ? priceList.titles[issn] : null
+      if (price !== null) titlesCost = (titlesCost || 0) + price
+      for (const row of titleRows) {
+        row.Cost = price ?? ''
+        row.CPU_Unique_Item_Requests = costPer(price, usage(titleRows, 'Unique_Item_Requests'))
+        row.CPU_Total_Item_Requests = costPer(price, usage(titleRows, 'Total_Item_Requests'))
       }
+    }
 
-      // Add institution header row
-      pivotRows.push({
-        label: instName,
-        level: 0,
-        total: instTotals.total,
-        months: monthColumns.map(m => instTotals[m])
-      })
+    if (!priceList || rows.length === 0) continue
+    const cost = priceList.subscription ?? titlesCost
+    const uniqueItemRequests = usage(rows, 'Unique_Item_Requests')
+    const totalItemRequests = usage(rows, 'Total_Item_Requests')
+    costs.push({
+      customer_id: outcome.account.customer_id,
+      institution: rows[0].Institution_Name,
+      currency: priceList.currency,
+      cost: cost ?? '',
+      unique_item_requests: uniqueItemRequests,
+      total_item_requests: totalItemRequests,
+      cpu_unique_item_requests: costPer(cost, uniqueItemRequests),
+      cpu_total_item_requests: costPer(cost, totalItemRequests)
+    })
+  }
+  return costs
+}
 
-      // Add access type and metric rows
-      for (const accessType of accessTypeOrder) {
-        if (!groupedData[accessType]) continue
+// Column headers for raw output
+function getDataHeaders(data, requestData) {
+  // Item columns follow the report kind and attribute columns follow the
+  // report definition or the requested attributes_to_show
+  const baseColumns = getReportColumns(requestData)
 
-        const accessTotals = { total: 0 }
-        monthColumns.forEach(m => accessTotals[m] = 0)
+  // Get month columns for the query period directly
+  const monthColumns = getMonthColumns(requestData.begin_date, requestData.end_date)
 
-        for (const metricType of metricOrder) {
-          if (!groupedData[accessType][metricType]) continue
-          const metricData = groupedData[accessType][metricType]
-          accessTotals.total += metricData.total
-          monthColumns.forEach(m => accessTotals[m] += metricData[m])
-        }
+  // Combine all columns, with COUNTER exceptions last when any account reported one
+  const headers = [...baseColumns, ...monthColumns]
+  if (requestData.cost_per_use) {
+    headers.push(...COST_COLUMNS)
+  }
+  if (data.some(row => row.Exceptions)) {
+    headers.push('Exceptions')
+  }
 
-        pivotRows.push({
-          label: accessType,
-          level: 1,
-          total: accessTotals.total,
-          months: monthColumns.map(m => accessTotals[m])
-        })
+  return headers
+}
 
-        for (const metricType of metricOrder) {
-          if (!groupedData[accessType][metricType]) continue
-          const metricData = groupedData[accessType][metricType]
-          pivotRows.push({
-            label: metricType,
-            level: 2,
-            total: metricData.total,
-            months: monthColumns.map(m => metricData[m])
-          })
-        }
-      }
+// For IR, "Item" header maps to the internal "Title" field
+function getFieldValue(row, header) {
+  return row[header === 'Item' ? 'Title' : header]
+}
 
-    } else if (reportType === 'tr_j4') {
-      // Group by YOP, then Metric_Type
-      for (const row of instRows) {
-        const yop = row.YOP || 'Unknown'
-        if (!groupedData[yop]) {
-          groupedData[yop] = {}
-        }
-        const metricType = row.Metric_Type
-        if (!groupedData[yop][metricType]) {
-          groupedData[yop][metricType] = { total: 0 }
-          monthColumns.forEach(m => groupedData[yop][metricType][m] = 0)
-        }
-        groupedData[yop][metricType].total += parseInt(row.Reporting_Period_Total) || 0
-        monthColumns.forEach(m => {
-          groupedData[yop][metricType][m] += parseInt(row[m]) || 0
-        })
-      }
+function convertToCSV(data, requestData) {
+  if (!data.length) return ''
 
-      const metricOrder = ['Total_Item_Investigations', 'Total_Item_Requests', 'Unique_Item_Investigations', 'Unique_Item_Requests']
+  const headers = getDataHeaders(data, requestData)
 
-      // Calculate institution totals
-      for (const yop of Object.keys(groupedData)) {
-        for (const metricType of metricOrder) {
-          if (!groupedData[yop][metricType]) continue
-          const metricData = groupedData[yop][metricType]
-          instTotals.total += metricData.total
-          monthColumns.forEach(m => instTotals[m] += metricData[m])
-        }
-      }
+  // Create CSV
+  const csvRows = [headers.map(h => `"${h}"`).join(',')]
 
-      // Add institution header row
-      pivotRows.push({
-        label: instName,
-        level: 0,
-        total: instTotals.total,
-        months: monthColumns.map(m => instTotals[m])
-      })
+  for (const row of data) {
+    const values = headers.map(h => {
+      const v = getFieldValue(row, h)
+      return (v === null || v === undefined) ? '""' : `"${String(v).replace(/"/g, '""')}"`
+    })
+    csvRows.push(values.join(','))
+  }
 
-      // Sort YOP values (most recent first)
-      const sortedYops = Object.keys(groupedData).sort((a, b) => {
-        if (a === 'Unknown') return 1
-        if (b === 'Unknown') return -1
-        return parseInt(b) - parseInt(a)
-      })
+  return csvRows.join('\n')
+}
 
-      for (const yop of sortedYops) {
-        const yopTotals = { total: 0 }
-        monthColumns.forEach(m => yopTotals[m] = 0)
 
-        for (const metricType of metricOrder) {
-          if (!groupedData[yop][metricType]) continue
-          const metricData = groupedData[yop][metricType]
-          yopTotals.total += metricData.total
-          monthColumns.forEach(m => yopTotals[m] += metricData[m])
-        }
+// Native Excel output: a Data sheet with the raw rows, a Pivot sheet whose
+// hierarchy is kept as collapsible row outlines, and an Errors sheet. Built
+// by hand as SpreadsheetML in a ZIP so it runs inside the Worker.
+async function buildWorkbook(data, requestData, incomplete = null) {
+  const validData = data.filter(r => r.Metric_Type !== 'ERROR' && r.Metric_Type !== 'No Data')
+  const headers = getDataHeaders(data, requestData)
+  const { periodColumns, pivotRows, errorData } = buildPivot(data, requestData)
 
-        pivotRows.push({
-          label: yop,
-          level: 1,
-          total: yopTotals.total,
-          months: monthColumns.map(m => yopTotals[m])
-        })
+  const dataRows = [
+    { cells: headers.map(h => ({ value: h, style: XLSX_STYLES.bold })) },
+    ...validData.map(row => ({
+      cells: headers.map(h => ({ value: getFieldValue(row, h) }))
+    }))
+  ]
 
-        for (const metricType of metricOrder) {
-          if (!groupedData[yop][metricType]) continue
-          const metricData = groupedData[yop][metricType]
-          pivotRows.push({
-            label: metricType,
-            level: 2,
-            total: metricData.total,
-            months: monthColumns.map(m => metricData[m])
-          })
-        }
-      }
+  // Institution and Grand Total rows are bold; deeper levels are indented and
+  // outlined one level per step down the hierarchy
+  const pivotSheetRows = [
+    { cells: ['', 'Reporting_Period_Total', ...periodColumns].map(h => ({ value: h, style: XLSX_STYLES.bold })) },
+    ...pivotRows.map(row => ({
+      outlineLevel: row.level,
+      cells: [
+        { value: row.label, style: row.level === 0 ? XLSX_STYLES.bold : XLSX_STYLES.indent + Math.min(row.level, 5) - 1 },
+        ...[row.total, ...row.periods].map(value => ({ value, style: row.level === 0 ? XLSX_STYLES.boldNumber : XLSX_STYLES.number }))
+      ]
+    }))
+  ]
 
-    } else {
-      // TR_J1, TR_J2: Group by Metric_Type only
-      for (const row of instRows) {
-        const metricType = row.Metric_Type
-        if (!groupedData[metricType]) {
-          groupedData[metricType] = { total: 0 }
-          monthColumns.forEach(m => groupedData[metricType][m] = 0)
-        }
-        groupedData[metricType].total += parseInt(row.Reporting_Period_Total) || 0
-        monthColumns.forEach(m => {
-          groupedData[metricType][m] += parseInt(row[m]) || 0
-        })
-      }
+  const labelField = getLabelField(requestData)
+  const errorRows = [
+    { cells: ['Institution_ID', labelField, 'Metric_Type', 'Exceptions'].map(h => ({ value: h, style: XLSX_STYLES.bold })) },
+    ...errorData.map(row => ({
+      cells: [row.Institution_ID, row[labelField], row.Metric_Type, row.Exceptions || ''].map(value => ({ value }))
+    }))
+  ]
 
-      // Calculate institution totals
-      for (const metricType of Object.keys(groupedData)) {
-        instTotals.total += groupedData[metricType].total
-        monthColumns.forEach(m => instTotals[m] += groupedData[metricType][m])
-      }
+  // A cancelled harvest's note comes first, so it's the sheet the workbook opens on
+  const noteSheets = incomplete ? [{ name: 'Incomplete', rows: [{ cells: [{ value: incomplete, style: XLSX_STYLES.bold }] }] }] : []
+  return createXlsx([
+    ...noteSheets,
+    { name: 'Data', rows: dataRows },
+    { name: 'Pivot', rows: pivotSheetRows, columnWidths: [40] },
+    { name: 'Errors', rows: errorRows, columnWidths: [20, 60, 12, 60] }
+  ])
+}
 
-      // Add institution header row
-      pivotRows.push({
-        label: instName,
-        level: 0,
-        total: instTotals.total,
-        months: monthColumns.map(m => instTotals[m])
-      })
+// Cell style indexes into the cellXfs list in createXlsx's styles.xml.
+// indent is the first of five styles indented 1-5 levels.
+const XLSX_STYLES = { normal: 0, bold: 1, number: 2, boldNumber: 3, indent: 4 }
 
-      const metricOrder = ['Total_Item_Investigations', 'Total_Item_Requests', 'Unique_Item_Investigations', 'Unique_Item_Requests']
-      for (const metricType of metricOrder) {
-        if (!groupedData[metricType]) continue
-        const metricData = groupedData[metricType]
-        pivotRows.push({
-          label: metricType,
-          level: 1,
-          total: metricData.total,
-          months: monthColumns.map(m => metricData[m])
-        })
+const XLSX_STYLESHEET = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="9">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="3" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>
+${[1, 2, 3, 4, 5].map(n => `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment indent="${n}"/></xf>`).join('\n')}
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`
+
+// sheets: [{ name, rows: [{ cells: [{ value, style }], outlineLevel }], columnWidths }]
+// The first row of every sheet is a frozen header.
+async function createXlsx(sheets) {
+  const workbookXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`
+
+  const workbookRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`
+
+  const rootRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+
+  return createZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbookXml },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: XLSX_STYLESHEET },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: buildWorksheetXml(sheet) }))
+  ])
+}
+
+function buildWorksheetXml(sheet) {
+  const maxLevel = Math.max(0, ...sheet.rows.map(row => row.outlineLevel || 0))
+
+  const rowsXml = sheet.rows.map((row, r) => {
+    const cells = row.cells.map((cell, c) => {
+      const ref = `${getColumnLetter(c)}${r + 1}`
+      const style = cell.style ? ` s="${cell.style}"` : ''
+      if (typeof cell.value === 'number') {
+        return `<c r="${ref}"${style}><v>${cell.value}</v></c>`
       }
-    }
+      const text = cell.value === null || cell.value === undefined ? '' : String(cell.value)
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`
+    }).join('')
+    const outline = row.outlineLevel ? ` outlineLevel="${row.outlineLevel}"` : ''
+    return `<row r="${r + 1}"${outline}>${cells}</row>`
+  }).join('\n')
+
+  const cols = (sheet.columnWidths || []).map((width, i) =>
+    `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`
+  ).join('')
 
-    // Add to grand totals
-    grandTotals.total += instTotals.total
-    monthColumns.forEach(m => grandTotals[m] += instTotals[m])
+  // Summary rows sit above their detail rows, so the outline buttons go there too
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetPr><outlinePr summaryBelow="0"/></sheetPr>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"${maxLevel ? ` outlineLevelRow="${maxLevel}"` : ''}/>
+${cols ? `<cols>${cols}</cols>` : ''}
+<sheetData>
+${rowsXml}
+</sheetData>
+</worksheet>`
+}
+
+function getColumnLetter(index) {
+  let letter = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter
   }
+  return letter
+}
 
-  // Add Grand Total row
-  pivotRows.push({
-    label: 'Grand Total',
-    level: 0,
-    total: grandTotals.total,
-    months: monthColumns.map(m => grandTotals[m])
-  })
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newlines are not allowed in XML
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+}
 
-  // Convert to CSV
-  const headers = ['', 'Reporting_Period_Total', ...monthColumns]
-  const csvRows = [headers.map(h => `"${h}"`).join(',')]
+// Builds a ZIP archive from [{ name, content }] where content is a string or
+// Uint8Array. Entries are deflated with the runtime's CompressionStream.
+async function createZip(files) {
+  const encoder = new TextEncoder()
+  const now = new Date()
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2)
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
 
-  for (const row of pivotRows) {
-    // Add indentation based on level
-    const indent = '  '.repeat(row.level)
-    const values = [
-      `"${indent}${row.label}"`,
-      row.total,
-      ...row.months
-    ]
-    csvRows.push(values.join(','))
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content
+    const compressed = new Uint8Array(await new Response(
+      new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'))
+    ).arrayBuffer())
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true) // Local file header signature
+    local.setUint16(4, 20, true) // Version needed to extract
+    local.setUint16(6, 0x0800, true) // Flags: UTF-8 file names
+    local.setUint16(8, 8, true) // Deflate
+    local.setUint16(10, dosTime, true)
+    local.setUint16(12, dosDate, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, compressed.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true) // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true) // Central directory header signature
+    central.setUint16(4, 20, true) // Version made by
+    central.setUint16(6, 20, true) // Version needed to extract
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 8, true)
+    central.setUint16(12, dosTime, true)
+    central.setUint16(14, dosDate, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, compressed.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true) // Offset of local header
+
+    localParts.push(new Uint8Array(local.buffer), name, compressed)
+    centralParts.push(new Uint8Array(central.buffer), name)
+    offset += 30 + name.length + compressed.length
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true) // End of central directory signature
+  end.setUint16(8, files.length, true) // Entries on this disk
+  end.setUint16(10, files.length, true) // Total entries
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true) // Central directory offset
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let position = 0
+  for (const part of parts) {
+    zip.set(part, position)
+    position += part.length
   }
+  return zip
+}
+
+let crcTable = null
 
-  // Add error rows at the end if any
-  if (errorData.length > 0) {
-    csvRows.push('') // blank row
-    csvRows.push('"--- Errors ---"')
-    for (const row of errorData) {
-      csvRows.push(`"${row.Institution_ID}","${row.Title}"`)
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
     }
   }
 
-  return csvRows.join('\n')
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
 }
 
-function convertToCSV(data, requestData) {
-  if (!data.length) return ''
-
-  const reportType = requestData.report_type.toLowerCase()
-  const isIR = reportType === 'ir'
+// Rows as objects keyed by the CSV column headers, with counts as numbers and
+// the monthly counts under Performance keyed by YYYY-MM
+function formatAsJson(data, requestData) {
+  const headers = getDataHeaders(data, requestData)
+  const monthColumns = getMonthColumns(requestData.begin_date, requestData.end_date)
+  const columns = headers.filter(h => !monthColumns.includes(h))
 
-  // IR uses "Item" as the title column header; TR reports use "Title"
-  // Print_ISSN/Online_ISSN are journal-level identifiers and are omitted for IR
-  const baseColumns = isIR
-    ? ['Institution_Name', 'Institution_ID', 'Item', 'Publisher', 'Publisher_ID', 'Platform', 'DOI', 'Proprietary_ID', 'URI']
-    : ['Institution_Name', 'Institution_ID', 'Title', 'Publisher', 'Publisher_ID', 'Platform', 'DOI', 'Proprietary_ID', 'Print_ISSN', 'Online_ISSN', 'URI']
+  return data.map(row => {
+    const object = {}
+    for (const column of columns) {
+      const value = getFieldValue(row, column)
+      object[column] = column === 'Reporting_Period_Total' ? parseInt(value) || 0 : value ?? ''
+    }
+    object.Performance = {}
+    for (const month of monthColumns) {
+      object.Performance[formatApiMonth(month)] = parseInt(row[month]) || 0
+    }
+    return object
+  })
+}
 
-  // Add YOP column for TR_J4 reports (before Access_Type)
-  if (reportType === 'tr_j4') {
-    baseColumns.push('YOP')
+// An account's SUSHI response as the server sent it, with the customer_id it
+// was harvested for. Accounts with no report keep their exceptions in the
+// COUNTER exception shape.
+function formatCounterJson(outcome, requestData) {
+  if (outcome.report?.Report_Header) {
+    return { customer_id: outcome.account.customer_id, ...outcome.report }
   }
 
-  // Add Access_Type column only for TR_J3 reports
-  if (reportType === 'tr_j3') {
-    baseColumns.push('Access_Type')
+  const exceptions = outcome.exceptions.map(e => ({ Code: e.code, Severity: e.severity, Message: e.message, Data: e.data }))
+  if (exceptions.length === 0 && outcome.status === 'failed') {
+    // A failure that never reached a COUNTER response, e.g. a network error
+    exceptions.push({ Code: null, Severity: 'fatal', Message: outcome.entries[0]?.[getLabelField(requestData)] || '', Data: '' })
   }
+  return { customer_id: outcome.account.customer_id, Report_Header: null, Report_Items: [], Exceptions: exceptions }
+}
+
+// "Jan-25" to "2025-01"
+function formatApiMonth(monthKey) {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+  const [month, year] = monthKey.split('-')
+  return `20${year}-${String(months.indexOf(month) + 1).padStart(2, '0')}`
+}
 
-  // Add Metric_Type and Reporting_Period_Total
-  baseColumns.push('Metric_Type', 'Reporting_Period_Total')
+// A COUNTER tabular report for one account: the header block built from the
+// response's Report_Header (falling back to the request for anything it lacks),
+// a blank row, then the column headings and body rows. Accounts whose harvest
+// failed still get a report, with the failure in the Exceptions row and no body.
+function formatCounterReport(outcome, requestData) {
+  const header = outcome.report?.Report_Header || {}
+  const definition = getReportDefinition(requestData)
+  const rows = outcome.entries.filter(r => r.Metric_Type !== 'ERROR' && r.Metric_Type !== 'No Data')
+  const release = header.Release || requestData.format || '5'
 
-  // Get month columns for the query period directly
-  const monthColumns = getMonthColumns(requestData.begin_date, requestData.end_date)
+  const metricTypes = getCounterFilterValue(header.Report_Filters, 'Metric_Type') ||
+    [...new Set(rows.map(r => r.Metric_Type))].join('; ')
+  const beginDate = getCounterFilterValue(header.Report_Filters, 'Begin_Date') || requestData.begin_date
+  const endDate = getCounterFilterValue(header.Report_Filters, 'End_Date') || requestData.end_date
 
-  // Combine all columns
-  const headers = [...baseColumns, ...monthColumns]
+  let exceptions = outcome.exceptions.map(e => `${e.code}: ${e.message}${e.data ? ` (${e.data})` : ''}`).join('; ')
+  if (!exceptions && outcome.status === 'failed') {
+    // A failure that never reached a COUNTER response, e.g. a network error
+    exceptions = outcome.entries[0]?.[getLabelField(requestData)] || ''
+  }
 
-  // For IR, "Item" header maps to the internal "Title" field
-  const headerToField = isIR ? { 'Item': 'Title' } : {}
+  const headerBlock = [
+    ['Report_Name', header.Report_Name || definition.name],
+    ['Report_ID', header.Report_ID || requestData.report_type.toUpperCase()],
+    ['Release', release],
+    ['Institution_Name', header.Institution_Name || ''],
+    ['Institution_ID', formatCounterIdentifiers(header.Institution_ID)],
+    ['Metric_Types', metricTypes.replace(/\|/g, '; ')],
+    ['Report_Filters', formatCounterNameValues(header.Report_Filters, ['Metric_Type', 'Begin_Date', 'End_Date'])],
+    ['Report_Attributes', formatCounterNameValues(header.Report_Attributes)],
+    ['Exceptions', exceptions],
+    ['Reporting_Period', `Begin_Date=${beginDate}; End_Date=${endDate}`],
+    ['Created', header.Created || new Date().toISOString()],
+    ['Created_By', header.Created_By || '']
+  ]
+  // Release 5.1 adds the platform's COUNTER Registry record as a 13th row
+  if (String(release).startsWith('5.1')) {
+    headerBlock.push(['Registry_Record', header.Registry_Record || ''])
+  }
 
-  // Create CSV
-  const csvRows = [headers.map(h => `"${h}"`).join(',')]
+  // COUNTER body columns: no institution columns (they are in the header) and
+  // months as Mmm-yyyy
+  const monthColumns = getMonthColumns(requestData.begin_date, requestData.end_date)
+  const columns = getReportColumns(requestData)
+    .filter(c => c !== 'Institution_Name' && c !== 'Institution_ID' && !MEMBER_COLUMNS.includes(c))
+  const csvRows = [
+    ...headerBlock.map(row => toCsvRow(row)),
+    '',
+    toCsvRow([...columns, ...monthColumns.map(formatCounterMonth)])
+  ]
 
-  for (const row of data) {
-    const values = headers.map(h => {
-      const field = headerToField[h] || h
-      const v = row[field]
-      return (v === null || v === undefined) ? '""' : `"${String(v).replace(/"/g, '""')}"`
-    })
-    csvRows.push(values.join(','))
+  for (const row of rows) {
+    csvRows.push(toCsvRow([...columns.map(c => getFieldValue(row, c)), ...monthColumns.map(m => row[m])]))
   }
 
   return csvRows.join('\n')
-}
\ No newline at end of file
+}
+
+// Report_Filters and Report_Attributes are [{ Name, Value }] in COUNTER 5 and
+// a plain object in 5.1; both become "Name=Value; Name=Value"
+function formatCounterNameValues(values, exclude = []) {
+  if (!values) return ''
+  const pairs = Array.isArray(values)
+    ? values.map(v => [v.Name, v.Value])
+    : Object.entries(values)
+  return pairs
+    .filter(([name]) => !exclude.includes(name))
+    .map(([name, value]) => `${name}=${[].concat(value).join('|')}`)
+    .join('; ')
+}
+
+function getCounterFilterValue(filters, name) {
+  if (!filters) return ''
+  const value = Array.isArray(filters)
+    ? filters.find(f => f.Name === name)?.Value
+    : filters[name]
+  return value ? [].concat(value).join('|') : ''
+}
+
+// Institution_ID is [{ Type, Value }] in COUNTER 5 and { Type: [values] } in
+// 5.1; both become "Type:Value; Type:Value"
+function formatCounterIdentifiers(ids) {
+  if (!ids) return ''
+  const pairs = Array.isArray(ids)
+    ? ids.map(id => [id.Type, id.Value])
+    : Object.entries(ids).flatMap(([type, values]) => [].concat(values).map(value => [type, value]))
+  return pairs.map(([type, value]) => `${type}:${value}`).join('; ')
+}
+
+// "Jan-25" to "Jan-2025"
+function formatCounterMonth(monthKey) {
+  const [month, year] = monthKey.split('-')
+  return `${month}-20${year}`
+}
+
+function toCsvRow(values) {
+  return values.map(v => (v === null || v === undefined) ? '""' : `"${String(v).replace(/"/g, '""')}"`).join(',')
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+}
+
+// Decodes the unpadded URL-safe base64 used in JWTs
+function fromBase64Url(base64url) {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/')
+  return fromBase64(base64 + '='.repeat((4 - base64.length % 4) % 4))
+}
+
+function toBase64(bytes) {
+  let binary = ''
+  // Chunked so large files don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}